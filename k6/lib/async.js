@@ -0,0 +1,150 @@
+/**
+ * @file lib/async.js
+ * @description Tracks asynchronous writes (202 Accepted, e.g. AsyncUserController) until their
+ * effect is visible through the read/lookup routes. Records the accepted→visible latency and the
+ * share of jobs that never complete within ASYNC_TIMEOUT.
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { ENV } from './env.js';
+import { logger, requestLogger } from './logger.js';
+import { ASYNC_REGISTRY } from './metrics.js';
+import { collectionUrl, ENTITY_SPECS, keyValuesOf, lookupUrl } from './openapi.js';
+import { parseBody, reflects, secureRandomFloat } from './utils.js';
+import { traced } from './tracing.js';
+
+/**
+ * Returns true when the entity answers the op with 202 Accepted according to the OpenAPI document.
+ *
+ * @param {string} entity
+ * @param {string} op
+ * @returns {boolean}
+ */
+export function isAsyncOp(entity, op) {
+    return ENTITY_SPECS[entity]?.responses?.[op]?.status === 202;
+}
+
+/**
+ * Decides whether this async job is polled, based on ASYNC_TRACK_SAMPLE (0-1).
+ *
+ * @returns {boolean}
+ */
+export function shouldTrack() {
+    return ENV.ASYNC_TRACK_SAMPLE >= 1 || secureRandomFloat(0, 1, 4) < ENV.ASYNC_TRACK_SAMPLE;
+}
+
+/**
+ * Builds the unique-key lookup URL for a payload, e.g. /async-users/email/a%40b.com.
+ *
+ * @param {string} entity
+ * @param {object} body - Payload that was sent
+ * @returns {string|null}
+ */
+function payloadLookupUrl(entity, body) {
+    const values = keyValuesOf(entity, body);
+    if (!values) return null;
+
+    const [key, value] = Object.entries(values)[0];
+    return lookupUrl(entity, key, value);
+}
+
+/**
+ * Performs one visibility probe.
+ *
+ * @param {string} entity
+ * @param {'create'|'update'|'delete'} op
+ * @param {{ id?: string|number, body?: object }} job
+ * @returns {{ visible: boolean, id: string|number|null }}
+ */
+function probe(entity, op, job) {
+    const params = { tags: { name: `async-poll:${entity}:${op}` } };
+
+    if (op === 'create') {
+        const url = job.id ? `${collectionUrl(entity)}/${job.id}` : payloadLookupUrl(entity, job.body);
+        const res = http.get(url, traced(params));
+        const record = res.status === 200 ? parseBody(res) : null;
+        return { visible: record !== null, id: record?.id ?? null };
+    }
+
+    const res = http.get(`${collectionUrl(entity)}/${job.id}`, traced(params));
+    if (op === 'delete') {
+        return { visible: res.status === 404, id: job.id };
+    }
+    return { visible: res.status === 200 && reflects(parseBody(res), job.body), id: job.id };
+}
+
+/**
+ * Polls until an accepted async job is visible or ASYNC_TIMEOUT elapses.
+ *   create → lookup by unique key (or id) returns 200
+ *   update → read by id reflects the sent fields
+ *   delete → read by id returns 404
+ *
+ * @param {string} entity
+ * @param {'create'|'update'|'delete'} op
+ * @param {{ id?: string|number, body?: object }} job
+ * @param {number} [acceptedAt=Date.now()] - Epoch ms the 202 was received
+ * @returns {{ completed: boolean, id: string|number|null, elapsed: number }}
+ */
+export function trackAsync(entity, op, job, acceptedAt = Date.now()) {
+    const metrics = ASYNC_REGISTRY[entity]?.[op];
+
+    if (op === 'create' ? !job.id && !payloadLookupUrl(entity, job.body) : !job.id) {
+        requestLogger.warn(`Cannot track async ${entity} ${op}: no id or unique key`);
+        return { completed: false, id: null, elapsed: 0 };
+    }
+
+    const deadline = acceptedAt + ENV.ASYNC_TIMEOUT * 1000;
+    while (Date.now() < deadline) {
+        const { visible, id } = probe(entity, op, job);
+        if (visible) {
+            const elapsed = Date.now() - acceptedAt;
+            metrics?.completion.add(elapsed);
+            metrics?.incomplete.add(false);
+            return { completed: true, id, elapsed };
+        }
+        sleep(ENV.ASYNC_POLL_INTERVAL);
+    }
+
+    metrics?.incomplete.add(true);
+    requestLogger.warn(`Async ${entity} ${op} not visible after ${ENV.ASYNC_TIMEOUT}s`, { id: job.id });
+    return { completed: false, id: null, elapsed: Date.now() - acceptedAt };
+}
+
+/**
+ * Waits for a batch of accepted creates (setup seeding) and returns the ones that became visible.
+ * Probes all pending payloads round-robin, so the wait ends as soon as the last one lands.
+ *
+ * @param {string} entity
+ * @param {{ body: object, acceptedAt: number }[]} jobs - Accepted creates
+ * @returns {{ id: string|number, body: object }[]} Completed creates with their ids
+ */
+export function awaitCreates(entity, jobs) {
+    const metrics = ASYNC_REGISTRY[entity]?.create;
+    const deadline = Date.now() + ENV.ASYNC_TIMEOUT * 1000;
+    const created = [];
+    let pending = jobs.filter(job => payloadLookupUrl(entity, job.body));
+
+    while (pending.length && Date.now() < deadline) {
+        const stillPending = [];
+        for (const job of pending) {
+            const { visible, id } = probe(entity, 'create', job);
+            if (visible) {
+                metrics?.completion.add(Date.now() - job.acceptedAt);
+                metrics?.incomplete.add(false);
+                if (id) created.push({ id, body: job.body });
+            } else {
+                stillPending.push(job);
+            }
+        }
+        pending = stillPending;
+        if (pending.length) sleep(ENV.ASYNC_POLL_INTERVAL);
+    }
+
+    for (let i = 0; i < pending.length; i++) metrics?.incomplete.add(true);
+    if (pending.length) {
+        logger.warn(`${pending.length}/${jobs.length} async ${entity} creates not visible after ${ENV.ASYNC_TIMEOUT}s`);
+    }
+
+    return created;
+}
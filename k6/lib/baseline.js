@@ -0,0 +1,161 @@
+/**
+ * @file lib/baseline.js
+ * @description Baseline comparison. `-e BASELINE_SAVE=baseline.json` stores the per-entity/op p50/p95/p99
+ * and error rate of a run; `-e BASELINE_FILE=baseline.json` turns that baseline plus BASELINE_TOLERANCE
+ * into thresholds (so a regression fails the run with a non-zero exit code) and prints a diff table.
+ * Must be imported in the init context, `open()` is not available afterwards.
+ */
+
+import { ENV } from './env.js';
+import { parseMix } from './mix.js';
+import { toUpperSnake } from './utils.js';
+
+// Compared stats: baseline key → k6 Trend stat / threshold aggregation.
+const STATS = { p50: 'med', p95: 'p(95)', p99: 'p(99)' };
+
+/**
+ * Allowed regression per stat: relative for latencies (0.1 = +10%), absolute for the error rate (0.01 = +1pp).
+ * @type {Record<string, number>}
+ */
+const TOLERANCES = (() => {
+    const { ops, weights } = parseMix(ENV.BASELINE_TOLERANCE, []);
+    return Object.fromEntries(ops.map((stat, i) => [stat, weights[i]]));
+})();
+
+/**
+ * Loads the baseline to compare against, or null when none is configured.
+ * The path is resolved by open() relative to this directory (k6/lib), not the working directory.
+ *
+ * @returns {{ createdAt: string, ops: Record<string, Record<string, { p50: number, p95: number, p99: number, errorRate: number, count: number }>> }|null}
+ * @throws {Error} When BASELINE_FILE is set but cannot be read or is not valid JSON
+ */
+function loadBaseline() {
+    if (!ENV.BASELINE_FILE) return null;
+
+    try {
+        return JSON.parse(open(ENV.BASELINE_FILE));
+    } catch (e) {
+        throw new Error(`Invalid BASELINE_FILE ${ENV.BASELINE_FILE} (resolved relative to k6/lib): ${e.message || e}`);
+    }
+}
+
+/**
+ * Baseline of the comparison, loaded once in the init context.
+ * @constant
+ */
+export const BASELINE = loadBaseline();
+
+/**
+ * Highest acceptable value of a stat given its baseline value.
+ * Latencies also get BASELINE_MIN_DELTA_MS of slack, so sub-millisecond baselines are not flaky.
+ *
+ * @param {string} stat - p50, p95, p99 or errorRate
+ * @param {number} base - Baseline value
+ * @returns {number}
+ */
+function limitOf(stat, base) {
+    if (stat === 'errorRate') return base + (TOLERANCES.errors ?? 0);
+    return Math.max(base * (1 + (TOLERANCES[stat] ?? 0)), base + ENV.BASELINE_MIN_DELTA_MS);
+}
+
+/**
+ * Iterates the baseline stats that have a tolerance configured.
+ *
+ * @returns {{ entity: string, op: string, prefix: string, stat: string, base: number }[]}
+ */
+function comparedStats() {
+    const rows = [];
+    for (const [entity, ops] of Object.entries(BASELINE?.ops || {})) {
+        for (const [op, values] of Object.entries(ops)) {
+            const prefix = `${toUpperSnake(entity)}_${toUpperSnake(op)}`;
+            for (const stat of [...Object.keys(STATS), 'errorRate']) {
+                const tolerated = stat === 'errorRate' ? 'errors' in TOLERANCES : stat in TOLERANCES;
+                if (tolerated && Number.isFinite(values[stat])) rows.push({ entity, op, prefix, stat, base: values[stat] });
+            }
+        }
+    }
+    return rows;
+}
+
+/**
+ * Thresholds derived from the baseline, e.g. `USERS_READ_latency_ms: ['p(95)<=22']`.
+ * Merged into buildThresholds(); empty without BASELINE_FILE.
+ *
+ * @returns {Record<string, string[]>}
+ */
+export function baselineThresholds() {
+    const thresholds = {};
+    for (const { prefix, stat, base } of comparedStats()) {
+        const limit = +limitOf(stat, base).toFixed(4);
+        const [metric, rule] = stat === 'errorRate'
+            ? [`${prefix}_errors`, `rate<=${limit}`]
+            : [`${prefix}_latency_ms`, `${STATS[stat]}<=${limit}`];
+        (thresholds[metric] = thresholds[metric] || []).push(rule);
+    }
+    return thresholds;
+}
+
+/**
+ * Extracts the baseline of the current run from the summary data.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @param {Record<string, string[]>} entityOps - Ops per entity (METRICS_REGISTRY keys)
+ * @returns {string} Baseline JSON
+ */
+export function baselineOf(data, entityOps) {
+    const ops = {};
+    for (const [entity, list] of Object.entries(entityOps)) {
+        for (const op of list) {
+            const prefix = `${toUpperSnake(entity)}_${toUpperSnake(op)}`;
+            const latency = data.metrics[`${prefix}_latency_ms`]?.values;
+            if (!latency) continue;
+
+            ops[entity] = ops[entity] || {};
+            ops[entity][op] = {
+                p50: latency.med,
+                p95: latency['p(95)'],
+                p99: latency['p(99)'],
+                errorRate: data.metrics[`${prefix}_errors`]?.values?.rate ?? 0,
+                count: data.metrics[`${prefix}_ops`]?.values?.count || 0
+            };
+        }
+    }
+
+    return JSON.stringify({ createdAt: new Date().toISOString(), baseUrl: ENV.BASE_URL, profile: ENV.PROFILE, ops }, null, 2);
+}
+
+/**
+ * Renders the baseline diff table: baseline vs. current value, change and verdict per stat.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {string} Empty without BASELINE_FILE
+ */
+export function baselineReport(data) {
+    if (!BASELINE) return '';
+
+    const lines = ['', `================ BASELINE (${BASELINE.createdAt || ENV.BASELINE_FILE}) ================`];
+    lines.push(`  ${'entity/op'.padEnd(24)}${'stat'.padEnd(10)}${'baseline'.padStart(10)}${'current'.padStart(10)}${'change'.padStart(9)}${'limit'.padStart(10)}  verdict`);
+
+    let regressions = 0;
+    for (const { entity, op, prefix, stat, base } of comparedStats()) {
+        const current = stat === 'errorRate'
+            ? data.metrics[`${prefix}_errors`]?.values?.rate
+            : data.metrics[`${prefix}_latency_ms`]?.values?.[STATS[stat]];
+        if (!Number.isFinite(current)) continue;
+
+        const limit = limitOf(stat, base);
+        const change = base ? `${(((current - base) / base) * 100).toFixed(1)}%` : '-';
+        const verdict = current > limit ? 'REGRESSION' : current < base ? 'improved' : 'ok';
+        if (current > limit) regressions++;
+
+        const digits = stat === 'errorRate' ? 4 : 2;
+        lines.push(
+            `  ${`${entity}/${op}`.padEnd(24)}${stat.padEnd(10)}${base.toFixed(digits).padStart(10)}` +
+            `${current.toFixed(digits).padStart(10)}${change.padStart(9)}${limit.toFixed(digits).padStart(10)}  ${verdict}`
+        );
+    }
+
+    lines.push('', `  ${regressions ? `${regressions} regression(s): the baseline thresholds fail the run` : 'no regressions'}`);
+    lines.push('=================================================', '');
+    return lines.join('\n');
+}
@@ -0,0 +1,182 @@
+/**
+ * @file lib/cleanup.js
+ * @description Teardown cleanup. setup() creates a run marker (see createRunMarker() in lib/utils.js)
+ * that every generated email/sku of the run carries, seeded rows and rows created by VUs alike.
+ * teardown() lists the collection and deletes only the rows carrying the marker, so rows of other
+ * clients sharing the tables are never touched; it then verifies they read back as 404 and prints a
+ * cleanup report. `-e KEEP_DATA=true` skips it.
+ *
+ * Rows whose unique values are too short to hold the marker, or that were created without it (e.g.
+ * by the conformance test, which deletes its own rows), are left alone.
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { ENV } from './env.js';
+import { isAsyncOp } from './async.js';
+import { logger } from './logger.js';
+import { collectionUrl } from './openapi.js';
+import { batchWithRetry } from './seed.js';
+import { traced } from './tracing.js';
+
+// Page size used to collect ids (the server's list cap).
+const PAGE_SIZE = 100;
+
+/**
+ * Fetches one page of the collection ordered by id, newest first.
+ *
+ * @param {string} entity
+ * @param {number} page
+ * @returns {object[]|null} Records, or null when the list failed
+ */
+function listPage(entity, page) {
+    const res = http.get(`${collectionUrl(entity)}?page=${page}&limit=${PAGE_SIZE}&sortBy=id&sortDirection=DESC`, traced({
+        tags: { name: `cleanup-list:${entity}` }
+    }));
+    if (res.status !== 200) return null;
+
+    try {
+        const records = JSON.parse(res.body)?.data;
+        return Array.isArray(records) ? records : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Returns true when the id is an auto-increment integer.
+ *
+ * @param {any} id
+ * @returns {boolean}
+ */
+function isNumericId(id) {
+    return id !== null && id !== '' && Number.isInteger(Number(id));
+}
+
+/**
+ * Returns true when one of the record's string fields carries the run marker.
+ *
+ * @param {object} record
+ * @param {string} marker
+ * @returns {boolean}
+ */
+function isMarked(record, marker) {
+    return Object.values(record || {}).some(value => typeof value === 'string' && value.includes(marker));
+}
+
+/**
+ * Collects the ids of the rows this run created: every listed record carrying the run marker.
+ * Listing runs newest first and, when the seeded ids are auto-increment, stops below the oldest of
+ * them since the run created nothing earlier; otherwise the whole collection is listed.
+ *
+ * @param {string} entity
+ * @param {string} marker - Run marker returned by setup()
+ * @param {(string|number)[]} [seededIds] - Ids seeded by setup(), only used to end the listing early
+ * @returns {string[]}
+ */
+export function collectRunIds(entity, marker, seededIds = []) {
+    if (!marker) {
+        logger.warn(`Cleanup of ${entity} skipped: no run marker`);
+        return [];
+    }
+
+    const numeric = seededIds.length > 0 && seededIds.every(isNumericId);
+    const oldest = numeric ? seededIds.reduce((min, id) => Math.min(min, Number(id)), Infinity) : null;
+    const ids = [];
+
+    for (let page = 1; ; page++) {
+        const records = listPage(entity, page);
+        if (!records) {
+            logger.warn(`Cleanup of ${entity} stopped listing at page ${page}`);
+            break;
+        }
+
+        for (const rec of records) {
+            if (rec?.id !== undefined && rec.id !== null && isMarked(rec, marker)) ids.push(String(rec.id));
+        }
+
+        const last = records[records.length - 1]?.id;
+        if (records.length < PAGE_SIZE || (oldest !== null && isNumericId(last) && Number(last) < oldest)) break;
+    }
+
+    return ids;
+}
+
+/**
+ * Reads the ids back and returns the ones that still exist.
+ * Async (202) deletes are polled until ASYNC_TIMEOUT.
+ *
+ * @param {string} entity
+ * @param {string[]} ids
+ * @returns {string[]}
+ */
+function remainingIds(entity, ids) {
+    const params = { tags: { name: `cleanup-verify:${entity}` } };
+    const deadline = Date.now() + (isAsyncOp(entity, 'delete') ? ENV.ASYNC_TIMEOUT * 1000 : 0);
+    let remaining = ids;
+
+    do {
+        const stillThere = [];
+        for (let start = 0; start < remaining.length; start += ENV.SEED_BATCH_SIZE) {
+            const chunk = remaining.slice(start, start + ENV.SEED_BATCH_SIZE);
+            const responses = batchWithRetry(chunk.map(id => ['GET', `${collectionUrl(entity)}/${id}`, null, params]));
+            responses.forEach((res, i) => {
+                if (res.status !== 404) stillThere.push(chunk[i]);
+            });
+        }
+        remaining = stillThere;
+        if (remaining.length && Date.now() < deadline) sleep(ENV.ASYNC_POLL_INTERVAL);
+    } while (remaining.length && Date.now() < deadline);
+
+    return remaining;
+}
+
+/**
+ * Deletes the ids in batches, then verifies they are gone.
+ * A 404 on delete counts as deleted (e.g. removed by a delete op during the run).
+ *
+ * @param {string} entity
+ * @param {string[]} ids
+ * @returns {{ entity: string, collected: number, deleted: number, failed: number, statuses: Record<string, number>, remaining: string[] }}
+ */
+export function deleteAll(entity, ids) {
+    const params = { tags: { name: `cleanup-delete:${entity}` } };
+    const report = { entity, collected: ids.length, deleted: 0, failed: 0, statuses: {}, remaining: [] };
+
+    for (let start = 0; start < ids.length; start += ENV.SEED_BATCH_SIZE) {
+        const chunk = ids.slice(start, start + ENV.SEED_BATCH_SIZE);
+        const responses = batchWithRetry(chunk.map(id => ['DELETE', `${collectionUrl(entity)}/${id}`, null, params]));
+        for (const res of responses) {
+            if ([200, 202, 204, 404].includes(res.status)) {
+                report.deleted++;
+            } else {
+                report.failed++;
+                report.statuses[res.status] = (report.statuses[res.status] || 0) + 1;
+            }
+        }
+    }
+
+    report.remaining = remainingIds(entity, ids);
+    return report;
+}
+
+/**
+ * Prints one line per entity and the first ids that survived cleanup.
+ *
+ * @param {{ entity: string, collected: number, deleted: number, failed: number, statuses: Record<string, number>, remaining: string[] }[]} reports
+ * @returns {void}
+ */
+export function printCleanupReport(reports) {
+    console.log('==================== CLEANUP REPORT ====================');
+    for (const r of reports) {
+        const statuses = Object.entries(r.statuses).map(([status, n]) => `${status}×${n}`).join(', ');
+        console.log(
+            `${r.entity}: ${r.deleted}/${r.collected} deleted, ${r.failed} failed${statuses ? ` (${statuses})` : ''}, ` +
+            `${r.remaining.length} still readable`
+        );
+        if (r.remaining.length) {
+            logger.warn(`${r.entity} ids still present: ${r.remaining.slice(0, 20).join(', ')}`);
+        }
+    }
+    console.log('========================================================');
+}
@@ -4,29 +4,60 @@
  */
 
 import http from 'k6/http';
-import { ENV } from './env.js';
-import { recordTrendAndCheck, secureRandomInt } from './utils.js';
+import exec from 'k6/execution';
+import { check } from 'k6';
+import { encodeFormData, recordTrendAndCheck, secureRandomInt, statusClass, toUpperSnake } from './utils.js';
+import { collectionUrl, ENTITY_SPECS, keyValuesOf, lookupUrl, routeName } from './openapi.js';
+import { buildInvalidPayload, rememberUnique } from './payloads.js';
+import { validateResponse } from './validation.js';
+import { shouldTrack, trackAsync } from './async.js';
+import { probeStaleness, shouldProbeStaleness } from './staleness.js';
+import { pickOp } from './mix.js';
+import { buildListQuery, checkPagination } from './queries.js';
+import { cacheMetricsFor, ERROR_ONSET, ERROR_REGISTRY, MIX_REGISTRY } from './metrics.js';
+import { isThrottled, sendWithRateLimit } from './ratelimit.js';
+import { addId, retireId } from './idpool.js';
+import { pickId } from './distributions.js';
+import { logger, requestLogger } from './logger.js';
+import { opParams } from './tracing.js';
+
+// Any client error is an acceptable answer to an invalid payload; a 5xx never is.
+const CLIENT_ERROR_STATUSES = Array.from({ length: 100 }, (_, i) => 400 + i);
+
+// Delete answers after which the id no longer exists (404: already gone).
+const DELETED_STATUSES = [200, 202, 204, 404];
 
 /**
- * Helper: Selects an entity ID based on hot/cool/available sets.
- * @param {string[]} hotIds
- * @param {string[]} vuIds
- * @param {string[]} coolIds
- * @param {boolean} preferHot
- * @returns {string|null}
+ * Helper: Remembers the lookup key values (email, sku...) of an entity id.
+ * @param {string} entity
+ * @param {Record<string, Record<string, string>>|undefined} keys
+ * @param {string} id
+ * @param {object} obj - Payload sent for the id
  */
-function selectTargetId(hotIds, vuIds, coolIds, preferHot = true) {
-    const pool = preferHot && hotIds.length ? hotIds : vuIds;
-    if (!pool.length) return null;
+function rememberKeys(entity, keys, id, obj) {
+    const values = keys ? keyValuesOf(entity, obj) : null;
+    if (values) keys[id] = values;
+}
 
-    for (let i = 0; i < 3; i++) { // try a few times
-        const id = pool[secureRandomInt(0, pool.length)];
-        if (!coolIds.includes(id)) return id;
-    }
+/**
+ * Helper: recordTrendAndCheck() plus the status-class breakdown: counts the response in its
+ * class Counter (tagged with status and error class), adds it to the op's error Rate and
+ * records when unexpected responses of each class occurred in the run.
+ * @param {import('k6/http').Response} res
+ * @param {string} entity
+ * @param {string} op
+ * @param {import('k6/metrics').Trend} trend
+ * @param {(number|number[])[]} expected
+ * @param {object|null} [cache] - Cache metrics from cacheMetricsFor()
+ */
+function recordResult(res, entity, op, trend, expected, cache = null) {
+    const passed = recordTrendAndCheck(res, entity, op, trend, expected, cache);
+    const cls = statusClass(res);
+    const metrics = ERROR_REGISTRY[entity]?.[op];
 
-    // fallback to any id
-    // return vuIds.length ? vuIds[secureRandomInt(0, vuIds.length)] : null;
-    return null;
+    metrics?.errors.add(!passed, { status_class: cls });
+    metrics?.classes[cls]?.add(1, { status: String(res.status), error_class: cls });
+    if (!passed) ERROR_ONSET[cls]?.add(exec.instance.currentTestRunDuration / 1000, { entity, op });
 }
 
 /**
@@ -37,18 +68,22 @@ function selectTargetId(hotIds, vuIds, coolIds, preferHot = true) {
  * @param {string} baseUrl
  * @param {string} entity
  * @param {{ generateFn: Function, trends: Record<string, import('k6/metrics').Trend>, contentType: string }} context
- * @param {{ vuIds: string[], hotIds: string[], coolIds: string[] }} idSets
+ * @param {import('./idpool.js').IdSets} idSets
  */
 function executeCrudOp(op, baseUrl, entity, context, idSets) {
     switch (op) {
         case 'list': {
-            executeList(baseUrl, entity, context);
+            executeList(baseUrl, entity, context, idSets);
             break;
         }
         case 'read': {
             executeRead(baseUrl, entity, context, idSets);
             break;
         }
+        case 'readByKey': {
+            executeReadByKey(entity, context, idSets);
+            break;
+        }
         case 'create': {
             executeCreate(baseUrl, entity, context, idSets);
             break;
@@ -61,8 +96,16 @@ function executeCrudOp(op, baseUrl, entity, context, idSets) {
             executeDelete(baseUrl, entity, context, idSets);
             break;
         }
+        case 'invalid-create': {
+            executeInvalid(baseUrl, entity, context, idSets, 'create');
+            break;
+        }
+        case 'invalid-update': {
+            executeInvalid(baseUrl, entity, context, idSets, 'update');
+            break;
+        }
         default:
-            console.warn(`[WARN] Unsupported CRUD operation: ${op}`);
+            logger.warn(`Unsupported CRUD operation: ${op}`);
     }
 }
 
@@ -73,12 +116,19 @@ function executeCrudOp(op, baseUrl, entity, context, idSets) {
  * @param {string} baseUrl
  * @param {string} entity
  * @param {{ generateFn: Function, trends: Record<string, import('k6/metrics').Trend>, contentType: string }} context
+ * @param {import('./idpool.js').IdSets} idSets
  */
-function executeList(baseUrl, entity, context) {
+function executeList(baseUrl, entity, context, idSets) {
     const { trends } = context;
 
-    const res = http.get(baseUrl + `?page=${secureRandomInt(1, 5)}&limit=10&sortDirection=DESC`);
-    recordTrendAndCheck(res, entity, "list", trends.list, 200);
+    const listQuery = buildListQuery(entity, idSets.keys);
+    const res = sendWithRateLimit(() => http.get(`${baseUrl}?${listQuery.query}`, opParams(
+        entity, 'list', routeName(entity), { tags: { query_shape: listQuery.shape } }
+    )), { entity, op: 'list' });
+    if (isThrottled(res)) return;
+    recordResult(res, entity, "list", trends.list, 200, cacheMetricsFor(entity, "list"));
+    validateResponse(res, entity, "list");
+    checkPagination(res, entity, listQuery);
 }
 
 /**
@@ -88,19 +138,56 @@ function executeList(baseUrl, entity, context) {
  * @param {string} baseUrl
  * @param {string} entity
  * @param {{ generateFn: Function, trends: Record<string, import('k6/metrics').Trend>, contentType: string }} context
- * @param {{ vuIds: string[], hotIds: string[], coolIds: string[] }} idSets
+ * @param {import('./idpool.js').IdSets} idSets
  */
 function executeRead(baseUrl, entity, context, idSets) {
     const { trends } = context;
-    const { vuIds, hotIds, coolIds } = idSets;
+    const { vuIds, hotIds } = idSets;
 
-    const id = selectTargetId(hotIds, vuIds, coolIds, true);
+    const id = pickId(hotIds, vuIds, true);
     if (!id) {
-        console.log("Skipping read no id");
+        requestLogger.debug('Skipping read: no id', { entity });
         return;
     }
-    const res = http.get(`${baseUrl}/${id}`);
-    recordTrendAndCheck(res, entity, "read", trends.read, 200);
+    const res = sendWithRateLimit(
+        () => http.get(`${baseUrl}/${id}`, opParams(entity, 'read', routeName(entity, '/{id}'))),
+        { entity, op: 'read' }
+    );
+    if (isThrottled(res)) return;
+    recordResult(res, entity, "read", trends.read, 200, cacheMetricsFor(entity, "read"));
+    validateResponse(res, entity, "read");
+}
+
+/**
+ * Reads an entity through a unique-key lookup route (e.g. /users/email/{email}, /items/sku/{sku}).
+ * Targets follow the same id distribution as reads (see lib/distributions.js); the key value is URL-encoded.
+ *
+ * @param {string} entity
+ * @param {{ generateFn: Function, trends: Record<string, import('k6/metrics').Trend>, contentType: string }} context
+ * @param {import('./idpool.js').IdSets} idSets
+ */
+function executeReadByKey(entity, context, idSets) {
+    const { trends } = context;
+    const { vuIds, hotIds, keys = {} } = idSets;
+
+    const id = pickId(hotIds, vuIds, true);
+    const values = id ? keys[id] : null;
+    if (!values) {
+        requestLogger.debug('Skipping readByKey: no key', { entity });
+        return;
+    }
+
+    const names = Object.keys(values);
+    const key = names[secureRandomInt(0, names.length)];
+    const res = sendWithRateLimit(
+        () => http.get(lookupUrl(entity, key, values[key]), opParams(
+            entity, 'readByKey', routeName(entity, `/${key}/{${key}}`), { tags: { lookup: key } }
+        )),
+        { entity, op: 'readByKey' }
+    );
+    if (isThrottled(res)) return;
+    recordResult(res, entity, "readByKey", trends.readByKey, 200, cacheMetricsFor(entity, "readByKey"));
+    validateResponse(res, entity, "readByKey");
 }
 
 /**
@@ -110,11 +197,11 @@ function executeRead(baseUrl, entity, context, idSets) {
  * @param {string} baseUrl
  * @param {string} entity
  * @param {{ generateFn: Function, trends: Record<string, import('k6/metrics').Trend>, contentType: string }} context
- * @param {{ vuIds: string[], hotIds: string[], coolIds: string[] }} idSets
+ * @param {import('./idpool.js').IdSets} idSets
  */
 function executeCreate(baseUrl, entity, context, idSets) {
     const { generateFn, trends, contentType = 'json' } = context;
-    const { vuIds } = idSets;
+    const { keys } = idSets;
 
     const obj = generateFn(secureRandomInt(0, 1000000));
 
@@ -128,13 +215,30 @@ function executeCreate(baseUrl, entity, context, idSets) {
         headers = { 'Content-Type': 'application/json' };
     }
 
-    const res = http.post(baseUrl, body, { headers });
-    recordTrendAndCheck(res, entity, "create", trends.create, [200, 201, 202]);
+    const res = sendWithRateLimit(
+        () => http.post(baseUrl, body, opParams(entity, 'create', routeName(entity), { headers })),
+        { entity, op: 'create' }
+    );
+    if (isThrottled(res)) return;
+    recordResult(res, entity, "create", trends.create, [200, 201, 202]);
+    validateResponse(res, entity, "create");
+
+    if (res.status === 202 && shouldTrack()) {
+        const { id } = trackAsync(entity, 'create', { body: obj });
+        if (id) {
+            addId(idSets, id);
+            rememberKeys(entity, keys, id, obj);
+        }
+    }
 
     if (res.status === 201) {
+        rememberUnique(entity, obj);
         try {
             const parsed = JSON.parse(res.body);
-            if (parsed?.id) vuIds.push(parsed.id);
+            if (parsed?.id) {
+                addId(idSets, parsed.id);
+                rememberKeys(entity, keys, parsed.id, obj);
+            }
         } catch {
             // ignore malformed response
         }
@@ -148,15 +252,15 @@ function executeCreate(baseUrl, entity, context, idSets) {
  * @param {string} baseUrl
  * @param {string} entity
  * @param {{ generateFn: Function, trends: Record<string, import('k6/metrics').Trend>, contentType: string }} context
- * @param {{ vuIds: string[], hotIds: string[], coolIds: string[] }} idSets
+ * @param {import('./idpool.js').IdSets} idSets
  */
 function executeUpdate(baseUrl, entity, context, idSets) {
     const { generateFn, trends, contentType = 'json' } = context;
-    const { vuIds, hotIds, coolIds } = idSets;
+    const { vuIds, hotIds, keys } = idSets;
 
-    const id = selectTargetId(hotIds, vuIds, coolIds, false);
+    const id = pickId(hotIds, vuIds, false);
     if (!id) {
-        console.log("Skipping update no id");
+        requestLogger.debug('Skipping update: no id', { entity });
         return;
     }
     const obj = generateFn(id);
@@ -171,8 +275,22 @@ function executeUpdate(baseUrl, entity, context, idSets) {
         headers = { 'Content-Type': 'application/json' };
     }
 
-    const res = http.put(`${baseUrl}/${id}`, body, { headers });
-    recordTrendAndCheck(res, entity, "update", trends.update, [200, 202]);
+    const res = sendWithRateLimit(
+        () => http.put(`${baseUrl}/${id}`, body, opParams(entity, 'update', routeName(entity, '/{id}'), { headers })),
+        { entity, op: 'update' }
+    );
+    if (isThrottled(res)) return;
+    recordResult(res, entity, "update", trends.update, [200, 202]);
+    validateResponse(res, entity, "update");
+
+    // the update may have changed the unique keys
+    if (res.status === 200 || res.status === 202) rememberKeys(entity, keys, id, obj);
+
+    if (res.status === 202 && shouldTrack()) {
+        trackAsync(entity, 'update', { id, body: obj });
+    } else if (res.status === 200 && shouldProbeStaleness(entity, 'update')) {
+        probeStaleness(entity, 'update', { id, body: obj });
+    }
 }
 
 /**
@@ -182,32 +300,101 @@ function executeUpdate(baseUrl, entity, context, idSets) {
  * @param {string} baseUrl
  * @param {string} entity
  * @param {{ generateFn: Function, trends: Record<string, import('k6/metrics').Trend>, contentType: string }} context
- * @param {{ vuIds: string[], hotIds: string[], coolIds: string[] }} idSets
+ * @param {import('./idpool.js').IdSets} idSets
  */
 function executeDelete(baseUrl, entity, context, idSets) {
     const { trends } = context;
     const { coolIds } = idSets;
 
-    const id = coolIds[secureRandomInt(0, coolIds.length)];
+    const id = coolIds.length ? coolIds[secureRandomInt(0, coolIds.length)] : null;
     if (!id) {
-        console.log("Skipping delete no id");
+        requestLogger.debug('Skipping delete: no id', { entity });
+        return;
+    }
+    const res = sendWithRateLimit(
+        () => http.del(`${baseUrl}/${id}`, null, opParams(entity, 'delete', routeName(entity, '/{id}'))),
+        { entity, op: 'delete' }
+    );
+    if (isThrottled(res)) return;
+    recordResult(res, entity, "delete", trends.delete, [200, 202, 204]);
+    validateResponse(res, entity, "delete");
+
+    if (DELETED_STATUSES.includes(res.status)) retireId(idSets, id);
+
+    if (res.status === 202 && shouldTrack()) {
+        trackAsync(entity, 'delete', { id });
+    } else if ((res.status === 200 || res.status === 204) && shouldProbeStaleness(entity, 'delete')) {
+        probeStaleness(entity, 'delete', { id });
+    }
+}
+
+/**
+ * Sends a deliberately invalid create/update payload and expects a 4xx.
+ * Entities answering writes with 202 (async) are skipped, as validation happens after acknowledgement.
+ *
+ * @param {string} baseUrl
+ * @param {string} entity
+ * @param {{ generateFn: Function, trends: Record<string, import('k6/metrics').Trend>, contentType: string }} context
+ * @param {import('./idpool.js').IdSets} idSets
+ * @param {'create'|'update'} target
+ */
+function executeInvalid(baseUrl, entity, context, idSets, target) {
+    const { trends } = context;
+    const { vuIds, hotIds } = idSets;
+    const op = `invalid-${target}`;
+
+    if (ENTITY_SPECS[entity]?.responses?.[target]?.status === 202) {
+        requestLogger.debug(`Skipping ${op}: async entity`, { entity });
+        return;
+    }
+
+    const invalid = buildInvalidPayload(entity, target);
+    if (!invalid) {
+        requestLogger.debug(`Skipping ${op}: no request schema`, { entity });
         return;
     }
-    const res = http.del(`${baseUrl}/${id}`);
-    recordTrendAndCheck(res, entity, "delete", trends.delete, [200, 202, 204]);
+
+    let url = baseUrl;
+    if (target === 'update') {
+        const id = pickId(hotIds, vuIds, false);
+        if (!id) {
+            requestLogger.debug(`Skipping ${op}: no id`, { entity });
+            return;
+        }
+        url = `${baseUrl}/${id}`;
+    }
+
+    const name = routeName(entity, target === 'update' ? '/{id}' : '');
+    const params = () => opParams(entity, op, name, {
+        headers: { 'Content-Type': 'application/json' },
+        tags: { variant: invalid.variant }
+    });
+    const body = JSON.stringify(invalid.body);
+    const res = sendWithRateLimit(
+        () => (target === 'create' ? http.post(url, body, params()) : http.put(url, body, params())),
+        { entity, op }
+    );
+    if (isThrottled(res)) return;
+
+    recordResult(res, entity, op, trends[op], CLIENT_ERROR_STATUSES);
+    check(res, {
+        [`${toUpperSnake(entity)} ${op.toUpperCase()} ${invalid.variant} no 5xx`]: r => r.status < 500
+    });
 }
 
 /**
- * Performs a single CRUD operation based on allowedOps from ENV.
+ * Performs a single CRUD operation: uniformly from allowedOps when given,
+ * otherwise weighted by the entity's CRUD mix (see lib/mix.js).
  *
  * @param {object} params
- * @param {string[]} params.vuIds
- * @param {string[]} params.hotIds
- * @param {string[]} params.coolIds
+ * @param {string[]} params.vuIds - Ids owned by the VU (see lib/idpool.js)
+ * @param {string[]} params.hotIds - Shared read-only ids
+ * @param {string[]} params.coolIds - Owned ids the VU may delete
+ * @param {Record<string, Record<string, string>>} [params.keys] - Lookup key values per id
  * @param {string} params.entity
  * @param {Function} params.generateFn
  * @param {Record<string, import('k6/metrics').Trend>} params.trends
- * @param {string[]} params.allowedOps
+ * @param {string[]} [params.allowedOps]
  * @param {bool} params.async
  * @returns {void}
  */
@@ -215,16 +402,20 @@ export function performCrudAction({
     vuIds,
     hotIds,
     coolIds,
+    keys = {},
     entity,
     generateFn,
     trends,
     allowedOps,
     contentType = 'json' // can be 'json' or 'form'
 }) {
-    const op = allowedOps[secureRandomInt(0, allowedOps.length)];
-    const baseUrl = `${ENV.BASE_URL}/${entity}`;
+    const op = allowedOps ? allowedOps[secureRandomInt(0, allowedOps.length)] : pickOp(entity);
+    if (!op) return;
+    MIX_REGISTRY[entity]?.[op]?.add(1);
+
+    const baseUrl = collectionUrl(entity);
 
-    const idSets = { vuIds, hotIds, coolIds };
+    const idSets = { vuIds, hotIds, coolIds, keys };
     const context = { generateFn, trends, contentType };
 
     executeCrudOp(op, baseUrl, entity, context, idSets);
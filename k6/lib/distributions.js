@@ -0,0 +1,141 @@
+/**
+ * @file lib/distributions.js
+ * @description Access distributions for id selection, chosen with `-e ID_DISTRIBUTION=<name>`.
+ * A distribution picks a position in an ordered id list, oldest first. Reads pick from the shared hot
+ * ids followed by the VU's own ids, so low positions are the same rows in every VU and skew
+ * concentrates on rows all workers cache; writes pick from the VU's own ids (see lib/idpool.js).
+ *   hot      two-tier default: reads uniform over the hot ids only, writes uniform over the own ids
+ *   uniform  every id equally likely
+ *   zipf     position r (1-based) with probability ∝ 1/r^ZIPF_SKEW, the oldest ids most popular
+ *   hotspot  HOTSPOT_SHARE of the picks go to a window of HOTSPOT_SIZE of the ids, the rest anywhere;
+ *            the window moves to the next slice every HOTSPOT_SHIFT seconds
+ *   latest   Zipf over recency (ZIPF_SKEW): the newest ids, e.g. the ones just created, most popular
+ * Raising ZIPF_SKEW or shrinking the hotspot shrinks the working set, which shows in the cache hit
+ * ratios and X-Cache-Type split of reads as TableWithLRUAndGC evicts less.
+ */
+
+import exec from 'k6/execution';
+import { ENV } from './env.js';
+import { secureRandomFloat, secureRandomInt } from './utils.js';
+
+/**
+ * Uniform random number in [0, 1).
+ *
+ * @returns {number}
+ */
+function unit() {
+    return Math.min(secureRandomFloat(0, 1, 9), 1 - Number.EPSILON);
+}
+
+/**
+ * (e^t - 1) / t, continuous at t = 0.
+ *
+ * @param {number} t
+ * @returns {number}
+ */
+function expm1OverT(t) {
+    return Math.abs(t) > 1e-8 ? Math.expm1(t) / t : 1 + t / 2;
+}
+
+/**
+ * ln(1 + t) / t, continuous at t = 0.
+ *
+ * @param {number} t
+ * @returns {number}
+ */
+function log1pOverT(t) {
+    return Math.abs(t) > 1e-8 ? Math.log1p(t) / t : 1 - t / 2;
+}
+
+/**
+ * Zipf-distributed position in [0, count): rank k (1-based) with probability ∝ 1/k^skew, drawn by
+ * rejection-inversion (Hörmann & Derflinger), exact and O(1) per pick whatever the list length.
+ *
+ * @param {number} count
+ * @param {number} skew - Exponent; 0 is uniform
+ * @returns {number}
+ */
+function zipfIndex(count, skew) {
+    const h = x => Math.exp(-skew * Math.log(x));
+    const hIntegral = x => expm1OverT((1 - skew) * Math.log(x)) * Math.log(x);
+    const hIntegralInverse = x => Math.exp(log1pOverT(Math.max(x * (1 - skew), -1)) * x);
+
+    const hIntegralX1 = hIntegral(1.5) - 1;
+    const hIntegralN = hIntegral(count + 0.5);
+    const squeeze = 2 - hIntegralInverse(hIntegral(2.5) - h(2));
+
+    for (;;) {
+        const u = hIntegralN + unit() * (hIntegralX1 - hIntegralN);
+        const x = hIntegralInverse(u);
+        const k = Math.min(count, Math.max(1, Math.floor(x + 0.5)));
+        if (k - x <= squeeze || u >= hIntegral(k + 0.5) - h(k)) return k - 1;
+    }
+}
+
+/**
+ * Position inside the current hotspot window, or anywhere for the share of picks outside it.
+ * The window start depends only on the elapsed test time, so all VUs agree on it.
+ *
+ * @param {number} count
+ * @returns {number}
+ */
+function hotspotIndex(count) {
+    if (unit() >= ENV.HOTSPOT_SHARE) return secureRandomInt(0, count);
+
+    const size = Math.max(1, Math.round(count * ENV.HOTSPOT_SIZE));
+    const step = ENV.HOTSPOT_SHIFT > 0 ? Math.floor(exec.instance.currentTestRunDuration / (ENV.HOTSPOT_SHIFT * 1000)) : 0;
+    const start = Math.floor(((step * ENV.HOTSPOT_SIZE) % 1) * count);
+    return (start + secureRandomInt(0, size)) % count;
+}
+
+/**
+ * Index pickers by distribution name; each maps a list length (> 0) to a position in it.
+ * @type {Record<string, (count: number) => number>}
+ */
+const DISTRIBUTIONS = {
+    hot: count => secureRandomInt(0, count),
+    uniform: count => secureRandomInt(0, count),
+    zipf: count => zipfIndex(count, ENV.ZIPF_SKEW),
+    hotspot: hotspotIndex,
+    latest: count => count - 1 - zipfIndex(count, ENV.ZIPF_SKEW)
+};
+
+/**
+ * Picker of the selected ID_DISTRIBUTION, resolved once at init.
+ * @throws {Error} When the distribution is unknown
+ * @throws {RangeError} When ZIPF_SKEW is negative
+ */
+const pick = (() => {
+    const picker = DISTRIBUTIONS[ENV.ID_DISTRIBUTION];
+    if (!picker) {
+        throw new Error(`Unknown ID_DISTRIBUTION "${ENV.ID_DISTRIBUTION}". Available: ${Object.keys(DISTRIBUTIONS).join(', ')}`);
+    }
+    if (!(ENV.ZIPF_SKEW >= 0)) {
+        throw new RangeError(`Invalid ZIPF_SKEW "${ENV.ZIPF_SKEW}": must be a number >= 0.`);
+    }
+    return picker;
+})();
+
+/**
+ * Picks an id from the hot ids and/or the VU's own ids following ID_DISTRIBUTION.
+ * Reads (preferHot) draw from the hot ids followed by the own ids, or only the hot ids with the
+ * two-tier `hot` distribution; writes draw from the own ids only, so hot ids stay read-only.
+ *
+ * @param {string[]} hotIds - Shared read-only ids
+ * @param {string[]} vuIds - Ids owned by this VU, oldest first
+ * @param {boolean} preferHot - True for reads
+ * @returns {string|null} Null when there is no id to pick
+ */
+export function pickId(hotIds, vuIds, preferHot) {
+    if (!preferHot) return vuIds.length ? vuIds[pick(vuIds.length)] : null;
+    if (ENV.ID_DISTRIBUTION === 'hot') {
+        const pool = hotIds.length ? hotIds : vuIds;
+        return pool.length ? pool[pick(pool.length)] : null;
+    }
+
+    // Index the two lists as one without copying them on every pick
+    const count = hotIds.length + vuIds.length;
+    if (!count) return null;
+    const index = pick(count);
+    return index < hotIds.length ? hotIds[index] : vuIds[index - hotIds.length];
+}
@@ -31,26 +31,205 @@ function parseList(val, defaults) {
  *   TOTAL_ENTITIES: number,
  *   HOT_PERCENT: number,
  *   COOL_PERCENT: number,
+ *   ID_DISTRIBUTION: string,
+ *   ZIPF_SKEW: number,
+ *   HOTSPOT_SIZE: number,
+ *   HOTSPOT_SHARE: number,
+ *   HOTSPOT_SHIFT: number,
  *   TOTAL_EXECUTIONS: number,
  *   MAX_VUS: number,
- *   MAX_DURATION: string
+ *   MAX_DURATION: string,
+ *   PROFILE: string,
+ *   PROFILE_FILE: string,
+ *   RATE: number,
+ *   TIME_UNIT: string,
+ *   DURATION: string,
+ *   PRE_ALLOCATED_VUS: number,
+ *   OPENAPI_FILE: string,
+ *   VALIDATE_RESPONSES: boolean,
+ *   CONTRACT_FAILURE_RATE: number,
+ *   ASYNC_TRACK_SAMPLE: number,
+ *   ASYNC_TIMEOUT: number,
+ *   ASYNC_POLL_INTERVAL: number,
+ *   ASYNC_INCOMPLETE_RATE: number,
+ *   LIST_QUERY: string,
+ *   CACHE_MIN_HIT_RATIO: number,
+ *   CACHE_HIT_P95: number,
+ *   STALENESS_SAMPLE: number,
+ *   STALENESS_TIMEOUT: number,
+ *   STALENESS_POLL_INTERVAL: number,
+ *   RATE_LIMIT_AWARE: boolean,
+ *   RATE_LIMIT_RETRIES: number,
+ *   RATE_LIMIT_BACKOFF: number,
+ *   RATE_LIMIT_MAX_WAIT: number,
+ *   RATE_LIMIT_PATH: string,
+ *   SEED_BATCH_SIZE: number,
+ *   SEED_CONCURRENCY: number,
+ *   SEED_RETRIES: number,
+ *   SEED_BACKOFF: number,
+ *   SEED_MIN_RATIO: number,
+ *   ID_PARTITIONS: number,
+ *   KEEP_DATA: boolean,
+ *   LOG_LEVEL: string,
+ *   LOG_FORMAT: string,
+ *   LOG_SAMPLE: number,
+ *   LOG_BODY_MAX: number,
+ *   LOG_SLOW_MS: number,
+ *   SUMMARY_JSON: string,
+ *   SUMMARY_JUNIT: string,
+ *   SUMMARY_HTML: string,
+ *   BASELINE_FILE: string,
+ *   BASELINE_SAVE: string,
+ *   BASELINE_TOLERANCE: string,
+ *   BASELINE_MIN_DELTA_MS: number,
+ *   THRESHOLDS_FILE: string,
+ *   THRESHOLDS: string,
+ *   SERVER_METRICS: boolean,
+ *   SERVER_METRICS_URL: string,
+ *   SERVER_METRICS_INTERVAL: number,
+ *   SERVER_METRICS_TOLERANCE: number,
+ *   WS_URL: string,
+ *   WS_SESSION: number,
+ *   WS_MESSAGE_RATE: number,
+ *   WS_MESSAGE_TIMEOUT: number,
+ *   RACE_VUS: number,
+ *   RACE_ROUNDS: number,
+ *   RACE_GAP: number
  * }}
  */
 export const ENV = {
     BASE_URL: __ENV.BASE_URL || 'http://localhost:9501',
 
-    // Allow comma-separated entities (e.g., users,items,orders)
+    // Allow comma-separated entities (e.g., users,items,orders), or "auto" to discover them from OPENAPI_FILE
     ENTITIES: parseList(__ENV.ENTITIES, ['users', 'items', 'async-users']),
 
-    // Allow comma-separated CRUD operations (e.g., list,read,create,update,delete)
-    CRUD: parseList(__ENV.CRUD, ['list', 'read', 'create', 'update']),
+    // Allow comma-separated CRUD operations (e.g., list,read,create,update,delete),
+    // optionally weighted (e.g., read:70,list:20,create:5,update:4,delete:1), see lib/mix.js
+    CRUD: parseList(__ENV.CRUD, ['list', 'read', 'create', 'update']).map(v => v.split(':')[0].trim()),
 
     TOTAL_ENTITIES: Number(__ENV.TOTAL_ENTITIES) || 2000,
     HOT_PERCENT: Number(__ENV.HOT_PERCENT) || 0.3,
     COOL_PERCENT: Number(__ENV.COOL_PERCENT) || 0.3,
+
+    // Id access distribution (hot, uniform, zipf, hotspot, latest), see lib/distributions.js: Zipf exponent
+    // (zipf, latest), hotspot set size and share of accesses, and seconds between hotspot moves (0 = fixed)
+    ID_DISTRIBUTION: __ENV.ID_DISTRIBUTION || 'hot',
+    ZIPF_SKEW: Number(__ENV.ZIPF_SKEW ?? 1),
+    HOTSPOT_SIZE: Number(__ENV.HOTSPOT_SIZE) || 0.1,
+    HOTSPOT_SHARE: Number(__ENV.HOTSPOT_SHARE ?? 0.9),
+    HOTSPOT_SHIFT: Number(__ENV.HOTSPOT_SHIFT ?? 60),
+
     TOTAL_EXECUTIONS: Number(__ENV.TOTAL_EXECUTIONS) || 20000,
     MAX_VUS: Number(__ENV.MAX_VUS) || 200,
-    MAX_DURATION: __ENV.MAX_DURATION || '10m'
+    MAX_DURATION: __ENV.MAX_DURATION || '10m',
+
+    // Load profile (ramp, smoke, constant, load, stress, spike, soak or a custom one)
+    PROFILE: __ENV.PROFILE || 'ramp',
+    PROFILE_FILE: __ENV.PROFILE_FILE || '',
+
+    // Open-model target: RATE iterations started per TIME_UNIT
+    RATE: Number(__ENV.RATE) || 50,
+    TIME_UNIT: __ENV.TIME_UNIT || '1s',
+
+    // Overrides the steady-state phase of the selected profile
+    DURATION: __ENV.DURATION || '',
+    PRE_ALLOCATED_VUS: Number(__ENV.PRE_ALLOCATED_VUS) || 50,
+
+    // OpenAPI document used for entity discovery (set empty to disable)
+    OPENAPI_FILE: __ENV.OPENAPI_FILE ?? '../../public/swagger.json',
+
+    // Validate response bodies against the OpenAPI response schemas
+    VALIDATE_RESPONSES: __ENV.VALIDATE_RESPONSES === 'true',
+    CONTRACT_FAILURE_RATE: Number(__ENV.CONTRACT_FAILURE_RATE) || 0,
+
+    // Async (202) tracking: share of jobs polled until visible, timeout and poll interval in seconds
+    ASYNC_TRACK_SAMPLE: Number(__ENV.ASYNC_TRACK_SAMPLE ?? 0.1),
+    ASYNC_TIMEOUT: Number(__ENV.ASYNC_TIMEOUT) || 30,
+    ASYNC_POLL_INTERVAL: Number(__ENV.ASYNC_POLL_INTERVAL) || 0.1,
+    ASYNC_INCOMPLETE_RATE: Number(__ENV.ASYNC_INCOMPLETE_RATE) || 0.01,
+
+    // Probability of each list query dimension (filter, sort, offset, date, limit), see lib/queries.js
+    LIST_QUERY: __ENV.LIST_QUERY || 'filter:0.2,sort:0.3,offset:0.2,date:0.1,limit:0.2',
+
+    // Cache thresholds: minimum hit ratio per entity (0 disables) and p95 budget of cache hits in ms
+    CACHE_MIN_HIT_RATIO: Number(__ENV.CACHE_MIN_HIT_RATIO) || 0,
+    CACHE_HIT_P95: Number(__ENV.CACHE_HIT_P95) || 50,
+
+    // Cache staleness probe (see lib/staleness.js): share of synchronous updates/deletes followed by
+    // reads until the write is visible (0 disables), give-up time and pause between reads in seconds
+    STALENESS_SAMPLE: Number(__ENV.STALENESS_SAMPLE ?? 0),
+    STALENESS_TIMEOUT: Number(__ENV.STALENESS_TIMEOUT) || 5,
+    STALENESS_POLL_INTERVAL: Number(__ENV.STALENESS_POLL_INTERVAL ?? 0.05),
+
+    // Honor 429 Retry-After: retries per request, fallback backoff base and max wait in seconds
+    RATE_LIMIT_AWARE: __ENV.RATE_LIMIT_AWARE === 'true',
+    RATE_LIMIT_RETRIES: Number(__ENV.RATE_LIMIT_RETRIES ?? 3),
+    RATE_LIMIT_BACKOFF: Number(__ENV.RATE_LIMIT_BACKOFF) || 1,
+    RATE_LIMIT_MAX_WAIT: Number(__ENV.RATE_LIMIT_MAX_WAIT) || 60,
+
+    // Route driven past the limit by tests/rate_limit_test.js (any route except /health is limited)
+    RATE_LIMIT_PATH: __ENV.RATE_LIMIT_PATH || '/',
+
+    // Setup seeding: creates per http.batch, parallel requests (run-wide http.batch limit, see
+    // batchOptions() in lib/seed.js), retries of failures that were not applied,
+    // first retry backoff in seconds and the share of TOTAL_ENTITIES that must succeed
+    SEED_BATCH_SIZE: Number(__ENV.SEED_BATCH_SIZE) || 100,
+    SEED_CONCURRENCY: Number(__ENV.SEED_CONCURRENCY) || 20,
+    SEED_RETRIES: Number(__ENV.SEED_RETRIES ?? 3),
+    SEED_BACKOFF: Number(__ENV.SEED_BACKOFF) || 0.5,
+    SEED_MIN_RATIO: Number(__ENV.SEED_MIN_RATIO ?? 0.95),
+
+    // Number of per-VU id partitions (0 = max VUs of the scenarios), see lib/idpool.js
+    ID_PARTITIONS: Number(__ENV.ID_PARTITIONS) || 0,
+
+    // Skip teardown cleanup to inspect the rows created by the run
+    KEEP_DATA: __ENV.KEEP_DATA === 'true',
+
+    // Logging (see lib/logger.js): level, text/json output, share of per-request lines (failures are always
+    // logged), body length and the latency from which successful requests are logged as slow
+    LOG_LEVEL: (__ENV.LOG_LEVEL || 'info').toLowerCase(),
+    LOG_FORMAT: __ENV.LOG_FORMAT || 'text',
+    LOG_SAMPLE: Number(__ENV.LOG_SAMPLE ?? 1),
+    LOG_BODY_MAX: Number(__ENV.LOG_BODY_MAX) || 256,
+    LOG_SLOW_MS: Number(__ENV.LOG_SLOW_MS ?? 1000),
+
+    // handleSummary() report paths, empty disables (see lib/reporters.js)
+    SUMMARY_JSON: __ENV.SUMMARY_JSON || '',
+    SUMMARY_JUNIT: __ENV.SUMMARY_JUNIT || '',
+    SUMMARY_HTML: __ENV.SUMMARY_HTML || '',
+
+    // Baseline comparison (see lib/baseline.js): file to compare against (relative to k6/lib), path to save
+    // this run to (relative to the working directory), allowed regression per stat (relative for
+    // p50/p95/p99, absolute for errors) and latency slack in ms
+    BASELINE_FILE: __ENV.BASELINE_FILE || '',
+    BASELINE_SAVE: __ENV.BASELINE_SAVE || '',
+    BASELINE_TOLERANCE: __ENV.BASELINE_TOLERANCE || 'p50:0.2,p95:0.1,p99:0.2,errors:0.01',
+    BASELINE_MIN_DELTA_MS: Number(__ENV.BASELINE_MIN_DELTA_MS ?? 2),
+
+    // Threshold budgets (see lib/thresholds.js): file and inline value overriding the built-in defaults;
+    // both must be JSON (YAML is not supported)
+    THRESHOLDS_FILE: __ENV.THRESHOLDS_FILE || '',
+    THRESHOLDS: __ENV.THRESHOLDS || '',
+
+    // Server-side /metrics correlation (see lib/servermetrics.js): endpoint (default BASE_URL/metrics),
+    // periodic scrape interval in seconds (0 scrapes only in setup/teardown) and allowed client/server count gap
+    SERVER_METRICS: __ENV.SERVER_METRICS === 'true',
+    SERVER_METRICS_URL: __ENV.SERVER_METRICS_URL || '',
+    SERVER_METRICS_INTERVAL: Number(__ENV.SERVER_METRICS_INTERVAL ?? 15),
+    SERVER_METRICS_TOLERANCE: Number(__ENV.SERVER_METRICS_TOLERANCE ?? 0.02),
+
+    // WebSocket test (see lib/websocket.js): server URL, seconds each connection stays open,
+    // messages per second per connection and seconds to wait for each reply
+    WS_URL: __ENV.WS_URL || 'ws://localhost:9502',
+    WS_SESSION: Number(__ENV.WS_SESSION) || 30,
+    WS_MESSAGE_RATE: Number(__ENV.WS_MESSAGE_RATE) || 1,
+    WS_MESSAGE_TIMEOUT: Number(__ENV.WS_MESSAGE_TIMEOUT) || 5,
+
+    // Concurrency races (see lib/races.js): VUs hitting the same row or unique key at once,
+    // number of rounds and seconds between the synchronized starts of two rounds
+    RACE_VUS: Number(__ENV.RACE_VUS) || 20,
+    RACE_ROUNDS: Number(__ENV.RACE_ROUNDS) || 5,
+    RACE_GAP: Number(__ENV.RACE_GAP) || 2
 };
 
 /**
@@ -0,0 +1,100 @@
+/**
+ * @file lib/idpool.js
+ * @description Per-VU id state built from the setup() data. Hot ids are shared and read-only; every
+ * other seeded id belongs to exactly one VU partition, so only its owner updates or deletes it.
+ * Deleted ids are retired from the owner's pools and created ids join them, so a 404 on a
+ * read/update/delete is a server bug rather than two VUs racing over the same row.
+ */
+
+import exec from 'k6/execution';
+import { ENV } from './env.js';
+import { logger } from './logger.js';
+import { maxVusOf } from './profiles.js';
+
+/**
+ * Id state of one entity in the current VU, in the shape performCrudAction() expects.
+ *   vuIds   ids owned by this VU: readable and updatable
+ *   hotIds  ids shared by all VUs: read-only
+ *   coolIds owned ids this VU may delete
+ *   keys    lookup key values (email, sku...) per readable id
+ *
+ * @typedef {{ vuIds: string[], hotIds: string[], coolIds: string[], keys: Record<string, Record<string, string>> }} IdSets
+ */
+
+/** @type {Record<string, IdSets>} */
+const pools = {};
+
+let partitions = 0;
+
+/**
+ * Number of id partitions: ID_PARTITIONS, else the most VUs the scenarios can run at once.
+ *
+ * @returns {number}
+ */
+function partitionCount() {
+    if (!partitions) {
+        partitions = ENV.ID_PARTITIONS || maxVusOf(exec.test.options.scenarios) || 1;
+    }
+    return partitions;
+}
+
+/**
+ * Returns the id state of the entity for the current VU, partitioning the setup data on first use.
+ *
+ * @param {string} entity
+ * @param {{ ids: string[], hot: string[], cool: string[], keys: Record<string, Record<string, string>> }} data - setup() data of the entity
+ * @returns {IdSets}
+ */
+export function idPoolFor(entity, data) {
+    if (pools[entity]) return pools[entity];
+
+    const count = partitionCount();
+    const partition = (exec.vu.idInTest - 1) % count;
+    if (exec.vu.idInTest > count) {
+        logger.warn(`VU ${exec.vu.idInTest} shares id partition ${partition} (ID_PARTITIONS=${count})`);
+    }
+
+    const hot = new Set(data.hot);
+    const cool = new Set(data.cool);
+    const owned = data.ids.filter((id, i) => !hot.has(id) && i % count === partition);
+
+    const keys = {};
+    for (const id of [...data.hot, ...owned]) {
+        if (data.keys?.[id]) keys[id] = data.keys[id];
+    }
+
+    pools[entity] = {
+        vuIds: owned,
+        hotIds: data.hot.slice(),
+        coolIds: owned.filter(id => cool.has(id)),
+        keys
+    };
+    return pools[entity];
+}
+
+/**
+ * Adds an id created by this VU: it becomes readable, updatable and deletable.
+ *
+ * @param {IdSets} idSets
+ * @param {string} id
+ * @returns {void}
+ */
+export function addId(idSets, id) {
+    idSets.vuIds.push(id);
+    idSets.coolIds.push(id);
+}
+
+/**
+ * Removes a deleted id from every pool of this VU.
+ *
+ * @param {IdSets} idSets
+ * @param {string} id
+ * @returns {void}
+ */
+export function retireId(idSets, id) {
+    for (const pool of [idSets.vuIds, idSets.coolIds]) {
+        const index = pool.indexOf(id);
+        if (index !== -1) pool.splice(index, 1);
+    }
+    delete idSets.keys[id];
+}
@@ -0,0 +1,141 @@
+/**
+ * @file lib/logger.js
+ * @description Leveled logging for the k6 helpers.
+ *   LOG_LEVEL   debug | info | warn | error | off (default info)
+ *   LOG_FORMAT  text | json (one JSON object per line)
+ *   LOG_SAMPLE  share (0-1) of per-request log lines that are emitted, see requestLogger; failed
+ *               requests are always logged
+ *   LOG_SLOW_MS successful requests at least this slow are logged at warn (0 disables)
+ * Failed requests are logged with method, URL, status, X-Request-Id/trace id and a body truncated to
+ * LOG_BODY_MAX chars; successful ones only at debug level unless slow.
+ */
+
+import exec from 'k6/execution';
+import { ENV } from './env.js';
+import { correlationOf } from './tracing.js';
+import { secureRandomFloat } from './utils.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: 100 };
+
+const threshold = LEVELS[ENV.LOG_LEVEL] ?? LEVELS.info;
+
+/**
+ * Current VU id, 0 in the init context and in setup()/teardown().
+ *
+ * @returns {number}
+ */
+function vuId() {
+    try {
+        return exec.vu.idInTest || 0;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Formats fields as `key=value` pairs for text output.
+ *
+ * @param {Record<string, any>} fields
+ * @returns {string}
+ */
+function formatFields(fields) {
+    return Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+}
+
+/**
+ * Writes one log line when the level is enabled.
+ *
+ * @param {'debug'|'info'|'warn'|'error'} level
+ * @param {string} message
+ * @param {Record<string, any>} [fields]
+ * @returns {void}
+ */
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < threshold) return;
+
+    const line = ENV.LOG_FORMAT === 'json'
+        ? JSON.stringify({ time: new Date().toISOString(), level, vu: vuId(), msg: message, ...fields })
+        : `[${level.toUpperCase()}] ${message}${Object.keys(fields).length ? ` ${formatFields(fields)}` : ''}`;
+
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+/**
+ * Returns true for the LOG_SAMPLE share of calls. utils.js imports this module too; the cycle is
+ * harmless as secureRandomFloat is only called after both modules are evaluated.
+ *
+ * @returns {boolean}
+ */
+function sampled() {
+    return ENV.LOG_SAMPLE >= 1 || secureRandomFloat(0, 1, 4) < ENV.LOG_SAMPLE;
+}
+
+/**
+ * Logger for one-off events (setup, teardown, configuration problems).
+ *
+ * @constant
+ * @type {Record<'debug'|'info'|'warn'|'error', (message: string, fields?: Record<string, any>) => void>}
+ */
+export const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Logger for events that happen per request or iteration; only LOG_SAMPLE of them are written.
+ *
+ * @constant
+ * @type {Record<'debug'|'info'|'warn'|'error', (message: string, fields?: Record<string, any>) => void>}
+ */
+export const requestLogger = {
+    debug: (message, fields) => LEVELS.debug >= threshold && sampled() && write('debug', message, fields),
+    info: (message, fields) => LEVELS.info >= threshold && sampled() && write('info', message, fields),
+    warn: (message, fields) => LEVELS.warn >= threshold && sampled() && write('warn', message, fields),
+    error: (message, fields) => LEVELS.error >= threshold && sampled() && write('error', message, fields)
+};
+
+/**
+ * Truncates a response body for logging.
+ *
+ * @param {any} body
+ * @returns {string}
+ */
+function truncate(body) {
+    const text = typeof body === 'string' ? body : body ? String(body) : '';
+    return text.length > ENV.LOG_BODY_MAX ? `${text.slice(0, ENV.LOG_BODY_MAX)}…` : text;
+}
+
+/**
+ * Logs the outcome of a request with its correlation ids: failures at warn with method, URL, status
+ * and truncated body (never sampled), successes slower than LOG_SLOW_MS at warn, other successes at
+ * debug (both subject to LOG_SAMPLE).
+ *
+ * @param {import('k6/http').Response} res
+ * @param {boolean} passed - Whether the status was expected
+ * @param {Record<string, any>} [fields] - Extra context, e.g. entity, op, expected statuses
+ * @returns {void}
+ */
+export function logResponse(res, passed, fields = {}) {
+    const request = {
+        method: res.request?.method,
+        url: res.request?.url,
+        status: res.status,
+        duration_ms: res.timings?.duration,
+        ...correlationOf(res)
+    };
+
+    if (passed && ENV.LOG_SLOW_MS > 0 && request.duration_ms >= ENV.LOG_SLOW_MS) {
+        requestLogger.warn('request slow', { ...fields, ...request });
+    } else if (passed) {
+        requestLogger.debug('request ok', { ...fields, ...request });
+    } else {
+        logger.warn('request failed', { ...fields, ...request, error: res.error || undefined, body: truncate(res.body) });
+    }
+}
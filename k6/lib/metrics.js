@@ -1,12 +1,16 @@
 /**
  * @file lib/metrics.js
- * @description Handles K6 Trend metrics and threshold configuration.
+ * @description Handles K6 Trend/Rate metrics and threshold configuration.
  * Metrics must be declared in the init context (outside setup/default/teardown).
  */
 
-import { Trend } from 'k6/metrics';
+import { Counter, Gauge, Rate, Trend } from 'k6/metrics';
 import { ENV } from './env.js';
-import { toUpperSnake } from './utils.js';
+import { CACHEABLE_OPS, STATUS_CLASSES, toUpperSnake } from './utils.js';
+import { opsFor } from './mix.js';
+import { baselineThresholds } from './baseline.js';
+import { opRules, THRESHOLD_CONFIG } from './thresholds.js';
+import { ENTITY_SPECS } from './openapi.js'; // also resolves ENTITIES=auto before the registry is built
 
 /**
  * Registry for all metrics, grouped by entity and operation.
@@ -21,50 +25,279 @@ import { toUpperSnake } from './utils.js';
  */
 export const METRICS_REGISTRY = {};
 
+/**
+ * Contract failure rates (response body vs. OpenAPI schema), grouped like METRICS_REGISTRY.
+ * Only populated when VALIDATE_RESPONSES is enabled.
+ *
+ * @constant
+ * @type {Record<string, Record<string, Rate>>}
+ */
+export const CONTRACT_REGISTRY = {};
+
+/**
+ * Accepted→visible latency and incomplete-job rate per async (202) entity/op.
+ *
+ * @constant
+ * @type {Record<string, Record<string, { completion: Trend, incomplete: Rate }>>}
+ */
+export const ASYNC_REGISTRY = {};
+
+/**
+ * Cache staleness per synchronous update/delete (see lib/staleness.js): write→visible window,
+ * share of probe reads that returned the old state and share of probes that never saw the write.
+ * Only populated when STALENESS_SAMPLE is above 0.
+ *
+ * @constant
+ * @type {Record<string, Record<string, { window: Trend, stale: Rate, unresolved: Rate }>>}
+ */
+export const STALENESS_REGISTRY = {};
+
+/**
+ * Number of times each op was picked per entity (the realized operation mix).
+ *
+ * @constant
+ * @type {Record<string, Record<string, Counter>>}
+ */
+export const MIX_REGISTRY = {};
+
+/**
+ * Cache hit/miss latency per cacheable entity/op and hit ratio per entity (tagged by op).
+ * Example:
+ *  CACHE_REGISTRY = {
+ *    users: { hitRatio: Rate, ops: { read: { hit: Trend, miss: Trend } } }
+ *  }
+ *
+ * @constant
+ * @type {Record<string, { hitRatio: Rate, ops: Record<string, { hit: Trend, miss: Trend }> }>}
+ */
+export const CACHE_REGISTRY = {};
+
+/**
+ * RateLimitMiddleware metrics, tagged by entity and op: 429 responses (kept apart from real
+ * errors), Retry-After retries and the last X-RateLimit-Remaining/Limit seen.
+ *
+ * @constant
+ * @type {{ throttled: Counter, retries: Counter, remaining: Gauge, limit: Gauge }}
+ */
+export const RATE_LIMIT_METRICS = {
+    throttled: new Counter('rate_limited_requests'),
+    retries: new Counter('rate_limit_retries'),
+    remaining: new Gauge('rate_limit_remaining'),
+    limit: new Gauge('rate_limit_limit')
+};
+
+/**
+ * Server-side values scraped from /metrics (see lib/servermetrics.js).
+ * The periodic scrape sets the window gauges; teardown records the totals between the setup and teardown scrapes.
+ *
+ * @constant
+ * @type {{ scrapes: Counter, rps: Gauge, windowAvg: Gauge, window5xx: Gauge, requests: Counter, errors5xx: Counter, avg: Gauge, p95: Gauge }}
+ */
+export const SERVER_METRICS = {
+    scrapes: new Counter('server_metrics_scrapes'),
+    rps: new Gauge('server_rps'),
+    windowAvg: new Gauge('server_window_avg_ms'),
+    window5xx: new Gauge('server_window_5xx'),
+    requests: new Counter('server_requests'),
+    errors5xx: new Counter('server_5xx'),
+    avg: new Gauge('server_avg_ms'),
+    p95: new Gauge('server_p95_ms')
+};
+
+/**
+ * Concurrency race outcomes (see lib/races.js), tagged by entity: hot rows whose final state matches
+ * none of the racing updates, superseded unique keys still found by lookup, creates that won a
+ * contested unique key and racing requests answered with a 5xx (tagged by op).
+ *
+ * @constant
+ * @type {{ inconsistent: Rate, staleKeys: Rate, createWins: Counter, serverErrors: Rate }}
+ */
+export const RACE_METRICS = {
+    inconsistent: new Rate('race_update_inconsistent'),
+    staleKeys: new Rate('race_stale_key_lookups'),
+    createWins: new Counter('race_create_wins'),
+    serverErrors: new Rate('race_server_errors')
+};
+
+/**
+ * Response breakdown per entity/op: error Rate (unexpected status) and one Counter per status class,
+ * tagged with the exact status and error class.
+ * Example:
+ *  ERROR_REGISTRY = {
+ *    users: { read: { errors: Rate, classes: { '2xx': Counter, '4xx': Counter, '5xx': Counter, ... } } }
+ *  }
+ *
+ * @constant
+ * @type {Record<string, Record<string, { errors: Rate, classes: Record<string, Counter> }>>}
+ */
+export const ERROR_REGISTRY = {};
+
+/**
+ * Seconds into the run at which unexpected responses of each class occurred; min is the first one.
+ *
+ * @constant
+ * @type {Record<string, Trend>}
+ */
+export const ERROR_ONSET = Object.fromEntries(
+    STATUS_CLASSES.filter(cls => cls !== '2xx').map(cls => [cls, new Trend(`errors_${cls}_at_s`)])
+);
+
+/**
+ * Declares the latency Trend, op Counter and error metrics of an entity's ops in METRICS_REGISTRY,
+ * MIX_REGISTRY and ERROR_REGISTRY, so thresholds, baselines and reports cover them.
+ * Used for the CRUD entities below and by entrypoints with non-HTTP ops (e.g. the WebSocket test).
+ * Must be called from the init context.
+ *
+ * @param {string} entity
+ * @param {string[]} ops
+ * @returns {void}
+ */
+export function registerOps(entity, ops) {
+    const upperSnake = toUpperSnake(entity);
+    METRICS_REGISTRY[entity] = METRICS_REGISTRY[entity] || {};
+    MIX_REGISTRY[entity] = MIX_REGISTRY[entity] || {};
+    ERROR_REGISTRY[entity] = ERROR_REGISTRY[entity] || {};
+
+    for (const op of ops) {
+        const metricName = `${upperSnake}_${toUpperSnake(op)}_latency_ms`;
+
+        // Each Trend metric tracks latency for specific entity and CRUD operation.
+        METRICS_REGISTRY[entity][op] = new Trend(metricName);
+        MIX_REGISTRY[entity][op] = new Counter(`${upperSnake}_${toUpperSnake(op)}_ops`);
+        ERROR_REGISTRY[entity][op] = {
+            errors: new Rate(`${upperSnake}_${toUpperSnake(op)}_errors`),
+            classes: Object.fromEntries(
+                STATUS_CLASSES.map(cls => [cls, new Counter(`${upperSnake}_${toUpperSnake(op)}_${cls}`)])
+            )
+        };
+    }
+}
+
 // Ensure fallbacks to safe defaults if ENV misfires.
 const entities = Array.isArray(ENV.ENTITIES) ? ENV.ENTITIES : ['users', 'items', 'async-users'];
 const crudOps = Array.isArray(ENV.CRUD) ? ENV.CRUD : ['list', 'read', 'create', 'update'];
 
 for (const entity of entities) {
     const upperSnake = toUpperSnake(entity);
-    METRICS_REGISTRY[entity] = {};
+    const entityOps = [...new Set([...crudOps, ...opsFor(entity)])];
+    registerOps(entity, entityOps);
 
-    for (const op of crudOps) {
-        const opUpper = op.toUpperCase();
-        const metricName = `${upperSnake}_${opUpper}_latency_ms`;
+    if (ENV.VALIDATE_RESPONSES) {
+        CONTRACT_REGISTRY[entity] = {};
+        for (const op of entityOps) {
+            CONTRACT_REGISTRY[entity][op] = new Rate(`${upperSnake}_${toUpperSnake(op)}_contract_failures`);
+        }
+    }
 
-        // Each Trend metric tracks latency for specific entity and CRUD operation.
-        METRICS_REGISTRY[entity][op] = new Trend(metricName);
+    const cachedOps = entityOps.filter(op => CACHEABLE_OPS.includes(op));
+    if (cachedOps.length) {
+        CACHE_REGISTRY[entity] = { hitRatio: new Rate(`${upperSnake}_cache_hit_ratio`), ops: {} };
+        for (const op of cachedOps) {
+            CACHE_REGISTRY[entity].ops[op] = {
+                hit: new Trend(`${upperSnake}_${toUpperSnake(op)}_cache_hit_ms`),
+                miss: new Trend(`${upperSnake}_${toUpperSnake(op)}_cache_miss_ms`)
+            };
+        }
+    }
+
+    for (const op of ['create', 'update', 'delete']) {
+        if (ENTITY_SPECS[entity]?.responses?.[op]?.status !== 202) continue;
+
+        ASYNC_REGISTRY[entity] = ASYNC_REGISTRY[entity] || {};
+        ASYNC_REGISTRY[entity][op] = {
+            completion: new Trend(`${upperSnake}_${toUpperSnake(op)}_async_completion_ms`),
+            incomplete: new Rate(`${upperSnake}_${toUpperSnake(op)}_async_incomplete`)
+        };
+    }
+
+    for (const op of ['update', 'delete'].filter(op => entityOps.includes(op))) {
+        if (ENV.STALENESS_SAMPLE <= 0 || ENTITY_SPECS[entity]?.responses?.[op]?.status === 202) continue;
+
+        STALENESS_REGISTRY[entity] = STALENESS_REGISTRY[entity] || {};
+        STALENESS_REGISTRY[entity][op] = {
+            window: new Trend(`${upperSnake}_${toUpperSnake(op)}_staleness_ms`),
+            stale: new Rate(`${upperSnake}_${toUpperSnake(op)}_stale_reads`),
+            unresolved: new Rate(`${upperSnake}_${toUpperSnake(op)}_stale_unresolved`)
+        };
     }
 }
 
 /**
- * Builds dynamic K6 threshold rules based on ENV and METRICS_REGISTRY.
+ * Returns the cache metrics recordTrendAndCheck() expects for an entity/op.
+ *
+ * @param {string} entity
+ * @param {string} op
+ * @returns {{ hit: Trend, miss: Trend, hitRatio: Rate }|null} Null for non-cacheable ops
+ */
+export function cacheMetricsFor(entity, op) {
+    const cache = CACHE_REGISTRY[entity];
+    if (!cache?.ops[op]) return null;
+    return { ...cache.ops[op], hitRatio: cache.hitRatio };
+}
+
+/**
+ * Builds dynamic K6 threshold rules based on ENV, the threshold config (see lib/thresholds.js) and METRICS_REGISTRY.
  * Thresholds automatically adapt to all entities and CRUD ops defined in env.
  *
  * @function
- * @returns {Record<string, string[]>} Threshold configuration for k6 `options`
+ * @param {string[]} [only] - Entities to cover (default: every registered entity)
+ * @returns {Record<string, (string|object)[]>} Threshold configuration for k6 `options`
  */
-export function buildThresholds() {
-    const thresholds = {
-        http_req_duration: ['p(95)<250'] // Baseline rule for all HTTP requests
-    };
-
-    // Default latency targets per CRUD operation
-    const defaultRules = {
-        list: ['avg<150'],
-        read: ['avg<100'],
-        create: ['avg<150'],
-        update: ['avg<200'],
-        delete: ['avg<150']
-    };
-
-    for (const entity of Object.keys(METRICS_REGISTRY)) {
+export function buildThresholds(only = Object.keys(METRICS_REGISTRY)) {
+    const thresholds = { ...THRESHOLD_CONFIG.global };
+
+    // Latency and error-rate budgets per CRUD operation
+    for (const entity of only) {
         for (const op of Object.keys(METRICS_REGISTRY[entity])) {
-            const metric = `${toUpperSnake(entity)}_${op.toUpperCase()}_latency_ms`;
-            thresholds[metric] = defaultRules[op] || ['avg<200'];
+            const latency = opRules(entity, op, 'latency');
+            const errors = opRules(entity, op, 'errors');
+            if (latency.length) thresholds[METRICS_REGISTRY[entity][op].name] = latency;
+            if (errors.length) thresholds[ERROR_REGISTRY[entity][op].errors.name] = errors;
+        }
+    }
+
+    for (const entity of Object.keys(CONTRACT_REGISTRY).filter(e => only.includes(e))) {
+        for (const op of Object.keys(CONTRACT_REGISTRY[entity])) {
+            thresholds[CONTRACT_REGISTRY[entity][op].name] = [`rate<=${ENV.CONTRACT_FAILURE_RATE}`];
+        }
+    }
+
+    for (const entity of Object.keys(CACHE_REGISTRY).filter(e => only.includes(e))) {
+        if (ENV.CACHE_MIN_HIT_RATIO > 0) {
+            thresholds[CACHE_REGISTRY[entity].hitRatio.name] = [`rate>=${ENV.CACHE_MIN_HIT_RATIO}`];
+        }
+        for (const op of Object.keys(CACHE_REGISTRY[entity].ops)) {
+            thresholds[CACHE_REGISTRY[entity].ops[op].hit.name] = [`p(95)<${ENV.CACHE_HIT_P95}`];
         }
     }
 
+    for (const entity of Object.keys(ASYNC_REGISTRY).filter(e => only.includes(e))) {
+        for (const op of Object.keys(ASYNC_REGISTRY[entity])) {
+            thresholds[ASYNC_REGISTRY[entity][op].incomplete.name] = [`rate<${ENV.ASYNC_INCOMPLETE_RATE}`];
+        }
+    }
+
+    // A write that never becomes visible within STALENESS_TIMEOUT is a cache that was not invalidated
+    for (const entity of Object.keys(STALENESS_REGISTRY).filter(e => only.includes(e))) {
+        for (const op of Object.keys(STALENESS_REGISTRY[entity])) {
+            thresholds[STALENESS_REGISTRY[entity][op].unresolved.name] = ['rate==0'];
+        }
+    }
+
+    // Explicit per-metric rules from the config win over the generated ones
+    Object.assign(thresholds, THRESHOLD_CONFIG.metrics);
+
+    // Relative limits from BASELINE_FILE, only for metrics this run declares
+    const declared = new Set();
+    for (const entity of only) {
+        for (const op of Object.keys(METRICS_REGISTRY[entity])) {
+            declared.add(METRICS_REGISTRY[entity][op].name);
+            declared.add(ERROR_REGISTRY[entity][op].errors.name);
+        }
+    }
+    for (const [metric, rules] of Object.entries(baselineThresholds())) {
+        if (declared.has(metric)) thresholds[metric] = [...(thresholds[metric] || []), ...rules];
+    }
+
     return thresholds;
 }
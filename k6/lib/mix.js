@@ -0,0 +1,87 @@
+/**
+ * @file lib/mix.js
+ * @description Weighted operation mix. `CRUD=read:70,list:20,create:5,update:4,delete:1` sets the
+ * relative weight of each op (omitted weights default to 1); `CRUD_<ENTITY>` (e.g. `CRUD_ASYNC_USERS`)
+ * overrides the mix for a single entity.
+ */
+
+import { ENV } from './env.js';
+import { secureRandomFloat, toUpperSnake } from './utils.js';
+
+/**
+ * Parses a weighted op list.
+ *
+ * @param {string|undefined} val - Raw value, e.g. "read:70,list:20,create"
+ * @param {string[]} defaults - Ops used (weight 1 each) when the value is empty
+ * @returns {{ ops: string[], weights: number[] }}
+ * @throws {RangeError} When a weight is negative or not a number
+ */
+export function parseMix(val, defaults) {
+    const entries = val && typeof val === 'string'
+        ? val.split(',').map(v => v.trim()).filter(Boolean)
+        : defaults;
+
+    const ops = [];
+    const weights = [];
+    for (const entry of entries) {
+        const [op, raw] = entry.split(':').map(v => v.trim());
+        const weight = raw === undefined || raw === '' ? 1 : Number(raw);
+        if (!Number.isFinite(weight) || weight < 0) {
+            throw new RangeError(`Invalid weight "${raw}" for CRUD op "${op}".`);
+        }
+        ops.push(op);
+        weights.push(weight);
+    }
+
+    return { ops, weights };
+}
+
+/** @type {Record<string, { ops: string[], weights: number[], total: number }>} */
+const mixCache = {};
+
+/**
+ * Returns the requested mix of an entity (per-entity override or the global CRUD mix).
+ *
+ * @param {string} entity
+ * @returns {{ ops: string[], weights: number[], total: number }}
+ */
+export function mixFor(entity) {
+    if (!mixCache[entity]) {
+        const raw = __ENV[`CRUD_${toUpperSnake(entity)}`] || __ENV.CRUD;
+        const mix = parseMix(raw, ENV.CRUD);
+        mixCache[entity] = { ...mix, total: mix.weights.reduce((sum, w) => sum + w, 0) };
+    }
+    return mixCache[entity];
+}
+
+/**
+ * Ops an entity may execute (used to declare its metrics).
+ *
+ * @param {string} entity
+ * @returns {string[]}
+ */
+export function opsFor(entity) {
+    return mixFor(entity).ops;
+}
+
+/**
+ * Picks an op for the entity according to its weights.
+ *
+ * @param {string} entity
+ * @returns {string|null} Null when every weight is zero
+ */
+export function pickOp(entity) {
+    const { ops, weights, total } = mixFor(entity);
+    if (total <= 0) return null;
+
+    let roll = secureRandomFloat(0, total, 6);
+    for (let i = 0; i < ops.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return ops[i];
+    }
+
+    // rounding pushed the roll to the upper bound: last op that can be picked
+    let last = ops.length - 1;
+    while (weights[last] <= 0) last--;
+    return ops[last];
+}
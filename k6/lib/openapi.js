@@ -0,0 +1,271 @@
+/**
+ * @file lib/openapi.js
+ * @description Discovers CRUD entities from the OpenAPI document (`public/swagger.json`,
+ * generated by `bin/generate-swagger.php`). Derives collection/item paths, unique-key
+ * lookup routes and request/response schemas so new controllers need no k6 changes.
+ * Must be imported in the init context, `open()` is not available afterwards.
+ */
+
+import { ENV } from './env.js';
+import { logger } from './logger.js';
+
+/**
+ * Loads the OpenAPI document, or an empty one when the file is unavailable.
+ *
+ * @returns {{ paths: Record<string, object>, components?: object }}
+ */
+function loadDocument() {
+    if (!ENV.OPENAPI_FILE) return { paths: {} };
+
+    try {
+        return JSON.parse(open(ENV.OPENAPI_FILE));
+    } catch (e) {
+        logger.warn(`OpenAPI document not loaded from ${ENV.OPENAPI_FILE}: ${e}`);
+        return { paths: {} };
+    }
+}
+
+/**
+ * Parsed OpenAPI document.
+ *
+ * @constant
+ * @type {{ paths: Record<string, object>, components?: object }}
+ */
+export const OPENAPI = loadDocument();
+
+/**
+ * Resolves a local `$ref` (e.g. "#/components/schemas/User") against the document.
+ *
+ * @param {object|undefined} schema
+ * @returns {object|undefined}
+ */
+export function resolveSchema(schema) {
+    if (!schema || typeof schema.$ref !== 'string') return schema;
+
+    const target = schema.$ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((node, key) => (node ? node[key] : undefined), OPENAPI);
+
+    return resolveSchema(target);
+}
+
+/**
+ * Extracts the JSON schema of an operation's request body.
+ *
+ * @param {object|undefined} operation
+ * @returns {object|null}
+ */
+function requestSchemaOf(operation) {
+    const schema = operation?.requestBody?.content?.['application/json']?.schema;
+    return resolveSchema(schema) || null;
+}
+
+/**
+ * Extracts the first 2xx status and its JSON schema of an operation.
+ *
+ * @param {object|undefined} operation
+ * @returns {{ status: number, schema: object|null }|null}
+ */
+function successResponseOf(operation) {
+    if (!operation?.responses) return null;
+
+    for (const [code, response] of Object.entries(operation.responses)) {
+        if (/^2\d\d$/.test(code)) {
+            const schema = response?.content?.['application/json']?.schema;
+            return { status: Number(code), schema: resolveSchema(schema) || null };
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns true when a path segment is a template parameter, e.g. "{id}".
+ *
+ * @param {string} segment
+ * @returns {boolean}
+ */
+function isParam(segment) {
+    return /^\{[^}]+\}$/.test(segment);
+}
+
+/**
+ * Returns the entity record for a collection path, creating it on first use.
+ *
+ * @param {Record<string, object>} found
+ * @param {string} collectionPath - e.g. "/users"
+ * @returns {object}
+ */
+function entityFor(found, collectionPath) {
+    const name = collectionPath.replace(/^\//, '');
+    if (!found[name]) {
+        found[name] = {
+            name,
+            collectionPath,
+            itemPath: null,
+            lookups: {},
+            operations: {},
+            requestSchemas: {},
+            responses: {}
+        };
+    }
+    return found[name];
+}
+
+/**
+ * Records an operation on the entity.
+ *
+ * @param {object} spec - Entity record
+ * @param {string} op - CRUD op name (list, read, create, update, delete)
+ * @param {string} method - HTTP method
+ * @param {string} path - OpenAPI path template
+ * @param {object} operation - OpenAPI operation object
+ * @returns {void}
+ */
+function addOperation(spec, op, method, path, operation) {
+    spec.operations[op] = { method: method.toUpperCase(), path, parameters: operation.parameters || [] };
+    spec.responses[op] = successResponseOf(operation);
+
+    const schema = requestSchemaOf(operation);
+    if (schema) spec.requestSchemas[op] = schema;
+}
+
+/**
+ * Derives CRUD entities from the document paths.
+ *
+ *   /users                 GET → list, POST → create
+ *   /users/{id}            GET → read, PUT → update, DELETE → delete
+ *   /users/email/{email}   GET → lookups.email
+ *
+ * Paths without a create operation or an item route (e.g. /health) are ignored.
+ *
+ * @param {{ paths: Record<string, object> }} doc
+ * @returns {Record<string, object>} Entity specs keyed by entity name (e.g. "users")
+ */
+export function discoverEntities(doc) {
+    const paths = doc?.paths || {};
+    const found = {};
+
+    for (const [path, methods] of Object.entries(paths)) {
+        const segments = path.split('/').filter(Boolean);
+        const last = segments[segments.length - 1];
+        if (!segments.length) continue;
+
+        if (!isParam(last)) {
+            const spec = entityFor(found, path);
+            if (methods.get) addOperation(spec, 'list', 'get', path, methods.get);
+            if (methods.post) addOperation(spec, 'create', 'post', path, methods.post);
+            continue;
+        }
+
+        const parent = segments.slice(0, -1);
+        const lookupCollection = `/${parent.slice(0, -1).join('/')}`;
+        const isLookup = parent.length >= 2 && !isParam(parent[parent.length - 1]) && paths[lookupCollection];
+
+        if (isLookup && methods.get) {
+            const spec = entityFor(found, lookupCollection);
+            const key = parent[parent.length - 1];
+            spec.lookups[key] = { path, response: successResponseOf(methods.get) };
+            spec.responses.readByKey = spec.responses.readByKey || spec.lookups[key].response;
+            continue;
+        }
+
+        const spec = entityFor(found, `/${parent.join('/')}`);
+        spec.itemPath = path;
+        if (methods.get) addOperation(spec, 'read', 'get', path, methods.get);
+        if (methods.put) addOperation(spec, 'update', 'put', path, methods.put);
+        if (methods.patch && !methods.put) addOperation(spec, 'update', 'patch', path, methods.patch);
+        if (methods.delete) addOperation(spec, 'delete', 'delete', path, methods.delete);
+    }
+
+    for (const [name, spec] of Object.entries(found)) {
+        if (!spec.itemPath && !spec.operations.create) delete found[name];
+    }
+
+    return found;
+}
+
+/**
+ * Entity specs discovered from the OpenAPI document.
+ *
+ * @constant
+ * @type {Record<string, object>}
+ */
+export const ENTITY_SPECS = discoverEntities(OPENAPI);
+
+// ENTITIES=auto: load-test everything the document describes.
+if (ENV.ENTITIES.length === 1 && ENV.ENTITIES[0] === 'auto') {
+    ENV.ENTITIES.splice(0, 1, ...Object.keys(ENTITY_SPECS));
+}
+
+/**
+ * Collection path of an entity, e.g. "/users".
+ *
+ * @param {string} entity
+ * @returns {string}
+ */
+export function collectionPath(entity) {
+    return ENTITY_SPECS[entity]?.collectionPath || `/${entity}`;
+}
+
+/**
+ * URL template of an entity route, used as the request `name` tag, e.g. routeName('users', '/{id}') → "/users/{id}".
+ *
+ * @param {string} entity
+ * @param {string} [suffix='']
+ * @returns {string}
+ */
+export function routeName(entity, suffix = '') {
+    return `${collectionPath(entity)}${suffix}`;
+}
+
+/**
+ * Absolute collection URL of an entity, e.g. "http://localhost:9501/users".
+ *
+ * @param {string} entity
+ * @returns {string}
+ */
+export function collectionUrl(entity) {
+    return `${ENV.BASE_URL}${collectionPath(entity)}`;
+}
+
+// Unique keys assumed by convention when the OpenAPI document declares no lookup route.
+const CONVENTIONAL_KEYS = ['email', 'sku'];
+
+/**
+ * Unique keys an entity can be looked up by (e.g. ["email"] for /users/email/{email}).
+ *
+ * @param {string} entity
+ * @returns {string[]}
+ */
+export function lookupKeys(entity) {
+    const declared = Object.keys(ENTITY_SPECS[entity]?.lookups || {});
+    return declared.length ? declared : CONVENTIONAL_KEYS;
+}
+
+/**
+ * Picks the lookup key values present in a payload.
+ *
+ * @param {string} entity
+ * @param {object} obj - Payload or record
+ * @returns {Record<string, string>|null} Null when the payload holds no lookup key
+ */
+export function keyValuesOf(entity, obj) {
+    const values = {};
+    for (const key of lookupKeys(entity)) {
+        if (typeof obj?.[key] === 'string') values[key] = obj[key];
+    }
+    return Object.keys(values).length ? values : null;
+}
+
+/**
+ * Absolute lookup URL with the value URL-encoded, e.g. ".../users/email/a%2Bb%40example.com".
+ *
+ * @param {string} entity
+ * @param {string} key - Lookup key (e.g. "email")
+ * @param {string} value - Raw key value
+ * @returns {string}
+ */
+export function lookupUrl(entity, key, value) {
+    return `${collectionUrl(entity)}/${key}/${encodeURIComponent(value)}`;
+}
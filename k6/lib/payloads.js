@@ -0,0 +1,287 @@
+/**
+ * @file lib/payloads.js
+ * @description Builds request bodies from the OpenAPI request schemas: valid payloads that follow
+ * types, formats, lengths and required fields, plus deliberately invalid variants for negative testing.
+ */
+
+import { ENTITY_SPECS, resolveSchema } from './openapi.js';
+import { generateItem, generateUser, generateUuid, markUnique, secureRandomFloat, secureRandomInt } from './utils.js';
+
+/**
+ * Column constraints the generated swagger does not carry (see migrations/*.sql).
+ * Merged over the OpenAPI property schemas; `x-unique` marks unique columns.
+ *
+ * @constant
+ * @type {Record<string, Record<string, object>>}
+ */
+const SCHEMA_HINTS = {
+    users: {
+        name: { maxLength: 100 },
+        email: { format: 'email', maxLength: 150, 'x-unique': true }
+    },
+    'async-users': {
+        name: { maxLength: 100 },
+        email: { format: 'email', maxLength: 150, 'x-unique': true }
+    },
+    items: {
+        sku: { maxLength: 64, 'x-unique': true },
+        title: { maxLength: 150 },
+        price: { minimum: 0, maximum: 99999999.99 }
+    }
+};
+
+/**
+ * Invalid payload variants understood by `buildInvalidPayload()`.
+ *
+ * @constant
+ * @type {string[]}
+ */
+export const INVALID_VARIANTS = ['missing-required', 'wrong-type', 'too-long', 'duplicate'];
+
+/**
+ * Unique values of entities this VU created successfully, used by the "duplicate" variant.
+ * @type {Record<string, Record<string, string[]>>}
+ */
+const usedUniques = {};
+
+/**
+ * Returns the request schema of an entity/op with hints merged into its properties.
+ *
+ * @param {string} entity
+ * @param {'create'|'update'} op
+ * @returns {{ required: string[], properties: Record<string, object> }|null}
+ */
+function schemaFor(entity, op) {
+    const schema = resolveSchema(ENTITY_SPECS[entity]?.requestSchemas?.[op]);
+    if (!schema?.properties) return null;
+
+    const hints = SCHEMA_HINTS[entity] || {};
+    const properties = {};
+    for (const [name, prop] of Object.entries(schema.properties)) {
+        properties[name] = { ...resolveSchema(prop), ...hints[name] };
+    }
+
+    return { required: schema.required || [], properties };
+}
+
+/**
+ * Returns true when the property holds a unique column (explicit hint or email/sku by name).
+ *
+ * @param {string} name
+ * @param {object} prop
+ * @returns {boolean}
+ */
+function isUnique(name, prop) {
+    return prop['x-unique'] === true || name === 'email' || name === 'sku';
+}
+
+/**
+ * Builds a string honouring enum, format, minLength and maxLength.
+ *
+ * @param {string} name - Property name used as prefix
+ * @param {object} prop - Property schema
+ * @param {number|string} index - Index for readability/uniqueness
+ * @returns {string}
+ */
+function sampleString(name, prop, index) {
+    if (Array.isArray(prop.enum) && prop.enum.length) {
+        return prop.enum[secureRandomInt(0, prop.enum.length)];
+    }
+
+    const max = prop.maxLength || 255;
+    const unique = generateUuid().replace(/-/g, '');
+
+    switch (prop.format) {
+        case 'email': {
+            const domain = '@example.com';
+            return `${markUnique(name)}-${index}-${unique}`.slice(0, Math.max(1, max - domain.length)) + domain;
+        }
+        case 'uuid':
+            return generateUuid();
+        case 'date':
+            return new Date().toISOString().slice(0, 10);
+        case 'date-time':
+            return new Date().toISOString();
+        default: {
+            const value = isUnique(name, prop) ? `${markUnique(name)}-${unique}` : `${name} ${index}`;
+            return value.slice(0, max).padEnd(prop.minLength || 0, 'x');
+        }
+    }
+}
+
+/**
+ * Builds a valid value for a property schema.
+ *
+ * @param {string} name
+ * @param {object} prop
+ * @param {number|string} index
+ * @returns {any}
+ */
+function sampleValue(name, prop, index) {
+    switch (prop.type) {
+        case 'integer':
+            return secureRandomInt(prop.minimum ?? 1, (prop.maximum ?? 1000) + 1);
+        case 'number':
+            return secureRandomFloat(prop.minimum ?? 1, Math.min(prop.maximum ?? 100, 100), 2);
+        case 'boolean':
+            return secureRandomInt(0, 2) === 1;
+        case 'array':
+            return [sampleValue(name, resolveSchema(prop.items) || {}, index)];
+        case 'object':
+            return {};
+        default:
+            return sampleString(name, prop, index);
+    }
+}
+
+/**
+ * Returns a value of the wrong JSON type for the property.
+ *
+ * @param {object} prop
+ * @returns {any}
+ */
+function wrongTypeValue(prop) {
+    return prop.type === 'integer' || prop.type === 'number' || prop.type === 'boolean'
+        ? 'not-a-number'
+        : { unexpected: [1, 2, 3] };
+}
+
+/**
+ * Builds a valid request body for an entity from its OpenAPI request schema.
+ *
+ * @param {string} entity
+ * @param {number|string} index - Index for readability/uniqueness
+ * @param {'create'|'update'} [op='create']
+ * @returns {object|null} Null when the entity has no request schema
+ */
+export function buildPayload(entity, index, op = 'create') {
+    const schema = schemaFor(entity, op) || schemaFor(entity, 'create');
+    if (!schema) return null;
+
+    const obj = {};
+    for (const [name, prop] of Object.entries(schema.properties)) {
+        obj[name] = sampleValue(name, prop, index);
+    }
+    return obj;
+}
+
+/**
+ * Returns a schema-driven generator for the entity, compatible with the hand-written ones in utils.js.
+ *
+ * @param {string} entity
+ * @returns {((index: number|string) => object)|null} Null when no schema is known
+ */
+export function generatorFor(entity) {
+    if (!schemaFor(entity, 'create')) return null;
+    return index => buildPayload(entity, index);
+}
+
+/**
+ * Hand-written generators for entities without an OpenAPI request schema.
+ *
+ * @constant
+ * @type {Record<string, (index: number|string) => object>}
+ */
+export const FALLBACK_GENERATORS = { 'async-users': generateUser, users: generateUser, items: generateItem };
+
+/**
+ * Payload generator of an entity: the schema-driven one, else its hand-written fallback.
+ *
+ * @param {string} entity
+ * @returns {((index: number|string) => object)|null} Null when the entity has neither
+ */
+export function payloadGenerator(entity) {
+    return generatorFor(entity) || FALLBACK_GENERATORS[entity] || null;
+}
+
+/**
+ * Remembers the unique values of a successfully created payload.
+ *
+ * @param {string} entity
+ * @param {object} obj - Payload that was accepted by the API
+ * @returns {void}
+ */
+export function rememberUnique(entity, obj) {
+    const schema = schemaFor(entity, 'create');
+    if (!schema || !obj) return;
+
+    usedUniques[entity] = usedUniques[entity] || {};
+    for (const [name, prop] of Object.entries(schema.properties)) {
+        if (!isUnique(name, prop) || typeof obj[name] !== 'string') continue;
+
+        const values = (usedUniques[entity][name] = usedUniques[entity][name] || []);
+        values.push(obj[name]);
+        if (values.length > 100) values.shift();
+    }
+}
+
+/**
+ * Applies one invalid variant to a valid payload.
+ *
+ * @param {object} obj - Valid payload (mutated)
+ * @param {{ required: string[], properties: Record<string, object> }} schema
+ * @param {string} entity
+ * @param {string} variant
+ * @returns {boolean} False when the variant does not apply to this schema
+ */
+function applyVariant(obj, schema, entity, variant) {
+    const names = Object.keys(schema.properties);
+    const pick = list => list[secureRandomInt(0, list.length)];
+
+    switch (variant) {
+        case 'missing-required': {
+            if (!schema.required.length) return false;
+            delete obj[pick(schema.required)];
+            return true;
+        }
+        case 'wrong-type': {
+            const name = pick(names);
+            obj[name] = wrongTypeValue(schema.properties[name]);
+            return true;
+        }
+        case 'too-long': {
+            const strings = names.filter(n => (schema.properties[n].type || 'string') === 'string');
+            if (!strings.length) return false;
+            const name = pick(strings);
+            obj[name] = 'x'.repeat((schema.properties[name].maxLength || 255) + 10);
+            return true;
+        }
+        case 'duplicate': {
+            const known = Object.entries(usedUniques[entity] || {}).filter(([, values]) => values.length);
+            if (!known.length) return false;
+            const [name, values] = pick(known);
+            obj[name] = pick(values);
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Builds a deliberately invalid request body.
+ * Falls back to another variant when the requested one does not apply
+ * (e.g. no required fields on update, no created unique value yet for "duplicate").
+ *
+ * @param {string} entity
+ * @param {'create'|'update'} op
+ * @param {string} [variant] - One of INVALID_VARIANTS; random when omitted
+ * @returns {{ variant: string, body: object }|null} Null when the entity has no request schema
+ */
+export function buildInvalidPayload(entity, op, variant) {
+    const schema = schemaFor(entity, op) || schemaFor(entity, 'create');
+    if (!schema) return null;
+
+    const first = variant || INVALID_VARIANTS[secureRandomInt(0, INVALID_VARIANTS.length)];
+    const candidates = [first, ...INVALID_VARIANTS.filter(v => v !== first)];
+    // Updates accept partial bodies, so a missing field is not an error there.
+    const applicable = op === 'update' ? candidates.filter(v => v !== 'missing-required') : candidates;
+
+    for (const candidate of applicable) {
+        const obj = buildPayload(entity, secureRandomInt(0, 1000000), op);
+        if (applyVariant(obj, schema, entity, candidate)) {
+            return { variant: candidate, body: obj };
+        }
+    }
+    return null;
+}
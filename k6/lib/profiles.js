@@ -0,0 +1,229 @@
+/**
+ * @file lib/profiles.js
+ * @description Named load profiles that build the K6 `scenarios` block.
+ * Select a profile with `-e PROFILE=<name>`; arrival-rate profiles target `RATE`
+ * iterations per `TIME_UNIT` (open model) instead of a fixed number of VUs.
+ */
+
+import { ENV } from './env.js';
+
+/**
+ * Builds an open-model executor config shared by all arrival-rate profiles.
+ *
+ * @param {object} extra - Executor specific fields (rate, stages, duration...)
+ * @returns {object} Scenario config
+ */
+function arrivalRate(extra) {
+    return {
+        timeUnit: ENV.TIME_UNIT,
+        preAllocatedVUs: Math.min(ENV.PRE_ALLOCATED_VUS, ENV.MAX_VUS),
+        maxVUs: ENV.MAX_VUS,
+        ...extra
+    };
+}
+
+/**
+ * Scales the target rate, never returning less than 1 iteration per time unit.
+ *
+ * @param {number} factor - Multiplier applied to ENV.RATE
+ * @returns {number}
+ */
+function rateOf(factor) {
+    return Math.max(1, Math.round(ENV.RATE * factor));
+}
+
+/**
+ * Built-in profiles. Each factory receives the caller's fallback stages
+ * and returns a complete `scenarios` object.
+ *
+ * @type {Record<string, (stages: {duration: string, target: number}[]) => Record<string, object>>}
+ */
+const PROFILES = {
+    // Legacy closed model: the stages declared by the test script itself.
+    ramp: stages => ({
+        ramp: {
+            executor: 'ramping-vus',
+            startVUs: 0,
+            stages,
+            gracefulRampDown: '10s'
+        }
+    }),
+
+    // Sanity pass: one VU, no load, just proves the endpoints respond.
+    smoke: () => ({
+        smoke: {
+            executor: 'constant-vus',
+            vus: 1,
+            duration: ENV.DURATION || '1m'
+        }
+    }),
+
+    // Fixed request rate for the whole run.
+    constant: () => ({
+        constant: arrivalRate({
+            executor: 'constant-arrival-rate',
+            rate: ENV.RATE,
+            duration: ENV.DURATION || '5m'
+        })
+    }),
+
+    // Average expected traffic: ramp to RATE, hold, ramp down.
+    load: () => ({
+        load: arrivalRate({
+            executor: 'ramping-arrival-rate',
+            startRate: 0,
+            stages: [
+                { duration: '1m', target: ENV.RATE },
+                { duration: ENV.DURATION || '5m', target: ENV.RATE },
+                { duration: '30s', target: 0 }
+            ]
+        })
+    }),
+
+    // Step beyond the expected rate to find the breaking point.
+    stress: () => ({
+        stress: arrivalRate({
+            executor: 'ramping-arrival-rate',
+            startRate: 0,
+            stages: [
+                { duration: '1m', target: rateOf(0.5) },
+                { duration: ENV.DURATION || '2m', target: rateOf(0.5) },
+                { duration: '1m', target: ENV.RATE },
+                { duration: ENV.DURATION || '2m', target: ENV.RATE },
+                { duration: '1m', target: rateOf(1.5) },
+                { duration: ENV.DURATION || '2m', target: rateOf(1.5) },
+                { duration: '1m', target: rateOf(2) },
+                { duration: ENV.DURATION || '2m', target: rateOf(2) },
+                { duration: '1m', target: 0 }
+            ]
+        })
+    }),
+
+    // Sudden burst from a low baseline up to RATE and back.
+    spike: () => ({
+        spike: arrivalRate({
+            executor: 'ramping-arrival-rate',
+            startRate: rateOf(0.1),
+            stages: [
+                { duration: '30s', target: rateOf(0.1) },
+                { duration: '10s', target: ENV.RATE },
+                { duration: ENV.DURATION || '1m', target: ENV.RATE },
+                { duration: '10s', target: rateOf(0.1) },
+                { duration: '1m', target: rateOf(0.1) },
+                { duration: '10s', target: 0 }
+            ]
+        })
+    }),
+
+    // Long-running steady state to surface leaks and pool exhaustion.
+    soak: () => ({
+        soak: arrivalRate({
+            executor: 'ramping-arrival-rate',
+            startRate: 0,
+            stages: [
+                { duration: '5m', target: ENV.RATE },
+                { duration: ENV.DURATION || '4h', target: ENV.RATE },
+                { duration: '5m', target: 0 }
+            ]
+        })
+    })
+};
+
+/**
+ * Registers (or overrides) a profile.
+ * Must be called from the init context, before `buildScenarios()`.
+ *
+ * @param {string} name - Profile name used with `-e PROFILE=<name>`
+ * @param {(stages: {duration: string, target: number}[]) => Record<string, object>} factory - Returns a `scenarios` object
+ * @returns {void}
+ */
+export function registerProfile(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new TypeError(`registerProfile: factory for "${name}" must be a function.`);
+    }
+    PROFILES[name] = factory;
+}
+
+/**
+ * Loads custom profiles from a JSON file (`PROFILE_FILE`).
+ * The file maps profile names to complete `scenarios` objects, e.g.
+ *   { "checkout": { "burst": { "executor": "constant-arrival-rate", "rate": 50, ... } } }
+ *
+ * @returns {void}
+ */
+function loadProfileFile() {
+    if (!ENV.PROFILE_FILE) return;
+
+    const custom = JSON.parse(open(ENV.PROFILE_FILE));
+    for (const [name, scenarios] of Object.entries(custom)) {
+        registerProfile(name, () => scenarios);
+    }
+}
+
+/**
+ * Builds the K6 `scenarios` block for the selected `PROFILE`.
+ *
+ * @param {{duration: string, target: number}[]} stages - Stages used by the `ramp` profile
+ * @returns {Record<string, object>} Scenario configuration for k6 `options`
+ * @throws {Error} When the profile is unknown
+ */
+export function buildScenarios(stages) {
+    loadProfileFile();
+
+    const factory = PROFILES[ENV.PROFILE];
+    if (!factory) {
+        throw new Error(`Unknown PROFILE "${ENV.PROFILE}". Available: ${Object.keys(PROFILES).join(', ')}`);
+    }
+
+    return factory(stages);
+}
+
+/**
+ * Upper bound of concurrently running VUs across all scenarios
+ * (vus, startVUs, maxVUs, preAllocatedVUs and ramping-vus stage targets).
+ *
+ * @param {Record<string, object>} scenarios - k6 `scenarios` block
+ * @returns {number}
+ */
+export function maxVusOf(scenarios) {
+    let max = 0;
+    for (const scenario of Object.values(scenarios || {})) {
+        const fields = [scenario.vus, scenario.startVUs, scenario.maxVUs, scenario.preAllocatedVUs];
+        if (scenario.executor === 'ramping-vus') fields.push(...(scenario.stages || []).map(s => s.target));
+        max += Math.max(0, ...fields.filter(Number.isFinite));
+    }
+    return max;
+}
+
+/**
+ * Converts a k6 duration string ("1h", "2m30s", "500ms") to seconds.
+ *
+ * @param {string|number|undefined} value
+ * @returns {number} 0 when missing or unparsable
+ */
+export function parseDuration(value) {
+    if (typeof value === 'number') return value;
+    const units = { ms: 0.001, s: 1, m: 60, h: 3600 };
+    let seconds = 0;
+    for (const [, amount, unit] of String(value || '').matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+        seconds += Number(amount) * units[unit];
+    }
+    return seconds;
+}
+
+/**
+ * Time until the last scenario finishes (startTime plus duration or the sum of its stages).
+ *
+ * @param {Record<string, object>} scenarios - k6 `scenarios` block
+ * @returns {number} Seconds; 0 when no scenario has a fixed duration (e.g. iteration based)
+ */
+export function durationOf(scenarios) {
+    let end = 0;
+    for (const scenario of Object.values(scenarios || {})) {
+        const length = scenario.duration
+            ? parseDuration(scenario.duration)
+            : (scenario.stages || []).reduce((sum, stage) => sum + parseDuration(stage.duration), 0);
+        if (length) end = Math.max(end, parseDuration(scenario.startTime) + length);
+    }
+    return end;
+}
@@ -0,0 +1,226 @@
+/**
+ * @file lib/queries.js
+ * @description List query exploration: mixes filters, sorting, offset pagination, date ranges and
+ * limits according to `LIST_QUERY` probabilities (e.g. `filter:0.2,sort:0.3,offset:0.2,date:0.1,limit:0.2`),
+ * and checks the pagination contract of the responses.
+ */
+
+import { check } from 'k6';
+import { ENV } from './env.js';
+import { requestLogger } from './logger.js';
+import { parseMix } from './mix.js';
+import { ENTITY_SPECS, lookupKeys } from './openapi.js';
+import { secureRandomFloat, secureRandomInt, toUpperSnake } from './utils.js';
+
+// Server-side cap on page size (see resolvePagination in the controllers).
+export const MAX_LIMIT = 100;
+
+// Limits tried when the "limit" dimension is drawn; > MAX_LIMIT values probe clamping.
+const LIMITS = [1, 10, 50, 100, 150, 1000];
+
+// Columns whose ordering can be compared client-side without knowing the DB collation.
+const COMPARABLE_SORTS = ['id', 'created_at', 'updated_at'];
+
+const PAGING_PARAMS = ['page', 'limit', 'offset', 'sortBy', 'sortDirection'];
+
+/**
+ * Probability per query dimension, parsed once from LIST_QUERY.
+ * @type {Record<string, number>}
+ */
+const PROBABILITIES = (() => {
+    const { ops, weights } = parseMix(ENV.LIST_QUERY, []);
+    return Object.fromEntries(ops.map((dim, i) => [dim, Math.min(1, weights[i])]));
+})();
+
+/**
+ * Returns true with the probability configured for the dimension.
+ *
+ * @param {string} dimension - filter, sort, offset, date or limit
+ * @returns {boolean}
+ */
+function draw(dimension) {
+    const p = PROBABILITIES[dimension] || 0;
+    return p > 0 && secureRandomFloat(0, 1, 4) < p;
+}
+
+/**
+ * Picks a random element.
+ *
+ * @param {Array} list
+ * @returns {any}
+ */
+function pick(list) {
+    return list[secureRandomInt(0, list.length)];
+}
+
+/**
+ * Formats a date offset by a number of days as YYYY-MM-DD.
+ *
+ * @param {number} days
+ * @returns {string}
+ */
+function dayOffset(days) {
+    return new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Query parameters declared for the entity's list operation, grouped by role.
+ *
+ * @param {string} entity
+ * @returns {{ filters: string[], dates: string[], sorts: string[] }}
+ */
+function listParameters(entity) {
+    const parameters = ENTITY_SPECS[entity]?.operations?.list?.parameters || [];
+    const query = parameters.filter(p => p.in === 'query' && !PAGING_PARAMS.includes(p.name));
+
+    return {
+        filters: query.filter(p => p.schema?.format !== 'date').map(p => p.name),
+        dates: query.filter(p => p.schema?.format === 'date').map(p => p.name),
+        sorts: parameters.find(p => p.name === 'sortBy')?.schema?.enum || ['id']
+    };
+}
+
+/**
+ * Builds a filter value: a known unique key value for exact-match keys,
+ * a short fragment for LIKE filters (e.g. name, title).
+ *
+ * @param {string} entity
+ * @param {string} name - Filter name
+ * @param {Record<string, Record<string, string>>} keys - Known lookup key values per id
+ * @returns {string}
+ */
+function filterValue(entity, name, keys) {
+    if (lookupKeys(entity).includes(name)) {
+        const known = Object.values(keys || {}).filter(values => values[name]);
+        if (known.length) return pick(known)[name];
+    }
+    return String(secureRandomInt(0, 1000));
+}
+
+/**
+ * Builds a randomized list query for the entity.
+ * The shape ("page|limit:10|sort:id:DESC|filter:email") names the query pattern
+ * without its values and is used as a low-cardinality tag.
+ *
+ * @param {string} entity
+ * @param {Record<string, Record<string, string>>} [keys] - Known lookup key values per id
+ * @returns {{ query: string, shape: string, params: Record<string, string|number> }}
+ */
+export function buildListQuery(entity, keys = {}) {
+    const { filters, dates, sorts } = listParameters(entity);
+    const params = {};
+    const shape = [];
+
+    const limit = draw('limit') ? pick(LIMITS) : 10;
+    if (draw('offset')) {
+        params.offset = secureRandomInt(0, 500);
+        shape.push('offset');
+    } else {
+        params.page = secureRandomInt(1, 5);
+        shape.push('page');
+    }
+    params.limit = limit;
+    shape.push(`limit:${limit}`);
+
+    const sorted = draw('sort');
+    params.sortBy = sorted ? pick(sorts) : 'id';
+    params.sortDirection = sorted ? pick(['ASC', 'DESC']) : 'DESC';
+    shape.push(`sort:${params.sortBy}:${params.sortDirection}`);
+
+    if (filters.length && draw('filter')) {
+        const name = pick(filters);
+        params[name] = filterValue(entity, name, keys);
+        shape.push(`filter:${name}`);
+    }
+
+    if (dates.length && draw('date')) {
+        for (const name of dates) {
+            params[name] = name.includes('before') ? dayOffset(1) : dayOffset(-secureRandomInt(0, 8));
+        }
+        shape.push('date');
+    }
+
+    const query = Object.entries(params)
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .join('&');
+
+    return { query, shape: shape.join('|'), params };
+}
+
+/**
+ * Compares two column values for ordering checks.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compare(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+/**
+ * Lists pagination contract violations of a list response.
+ *   - page size never exceeds min(limit, MAX_LIMIT); per_page never exceeds MAX_LIMIT
+ *   - current_page matches the requested page
+ *   - records are ordered by sortBy/sortDirection (for comparable columns)
+ *
+ * @param {object} body - Parsed list response
+ * @param {Record<string, string|number>} params - Query params that were sent
+ * @returns {string[]}
+ */
+export function paginationViolations(body, params) {
+    const data = body?.data;
+    const pagination = body?.pagination;
+    if (!Array.isArray(data) || !pagination) return ['missing data/pagination envelope'];
+
+    const errors = [];
+    const maxSize = Math.min(Number(params.limit), MAX_LIMIT);
+
+    if (data.length > maxSize) errors.push(`page size ${data.length} > ${maxSize}`);
+    if (pagination.per_page > MAX_LIMIT) errors.push(`per_page ${pagination.per_page} not clamped to ${MAX_LIMIT}`);
+    if (params.page !== undefined && pagination.current_page !== params.page) {
+        errors.push(`current_page ${pagination.current_page} != requested ${params.page}`);
+    }
+
+    if (COMPARABLE_SORTS.includes(params.sortBy)) {
+        const direction = params.sortDirection === 'ASC' ? 1 : -1;
+        for (let i = 1; i < data.length; i++) {
+            if (compare(data[i - 1][params.sortBy], data[i][params.sortBy]) * direction > 0) {
+                errors.push(`not ordered by ${params.sortBy} ${params.sortDirection} at index ${i}`);
+                break;
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Checks the pagination contract of a successful list response.
+ *
+ * @param {import('k6/http').Response} res
+ * @param {string} entity
+ * @param {{ shape: string, params: Record<string, string|number> }} listQuery
+ * @returns {boolean}
+ */
+export function checkPagination(res, entity, listQuery) {
+    if (res.status !== 200) return true;
+
+    let errors;
+    try {
+        errors = paginationViolations(JSON.parse(res.body), listQuery.params);
+    } catch {
+        errors = ['body is not valid JSON'];
+    }
+
+    const valid = errors.length === 0;
+    check(res, {
+        [`${toUpperSnake(entity)} LIST pagination contract`]: () => valid,
+    });
+
+    if (!valid) {
+        requestLogger.warn(`${entity} list pagination violation: ${errors.join('; ')}`, { shape: listQuery.shape });
+    }
+    return valid;
+}
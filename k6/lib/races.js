@@ -0,0 +1,276 @@
+/**
+ * @file lib/races.js
+ * @description Concurrency races against the repositories and TableCacheService invalidation.
+ * RACE_VUS VUs fire the same request at the same instant, RACE_ROUNDS times per race:
+ *   update  every VU PUTs a different payload to the same hot row; afterwards the row must equal one
+ *           of the writes, be found by that write's unique keys and not by the replaced ones (stale cache)
+ *   create  every VU POSTs the same payload (same email/sku); exactly one 201, the rest a clean 4xx
+ * No racing request may get a 5xx. Rounds start on wall-clock slots RACE_GAP seconds apart (see
+ * raceSetup()), so VUs of one round do not drift apart as the previous round's latencies differ.
+ * Entities whose writes are async (202) are skipped: the worker queue serializes them.
+ */
+
+import http from 'k6/http';
+import exec from 'k6/execution';
+import { check, sleep } from 'k6';
+import { ENV } from './env.js';
+import { isAsyncOp } from './async.js';
+import { logger, logResponse } from './logger.js';
+import { RACE_METRICS } from './metrics.js';
+import { collectionUrl, keyValuesOf, lookupUrl, routeName } from './openapi.js';
+import { payloadGenerator } from './payloads.js';
+import { opParams } from './tracing.js';
+import { generateUuid, parseBody, reflects } from './utils.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+/**
+ * Entities a race applies to: synchronous writes, a generator and, for the create race, a unique key.
+ *
+ * @param {'update'|'create'} race
+ * @returns {string[]}
+ */
+export function raceEntities(race) {
+    return ENV.ENTITIES.filter(entity => {
+        const generateFn = payloadGenerator(entity);
+        if (!generateFn || isAsyncOp(entity, race)) return false;
+        return race === 'update' || keyValuesOf(entity, generateFn('probe')) !== null;
+    });
+}
+
+/**
+ * Epoch ms at which a round starts; update rounds come first, then create rounds.
+ *
+ * @param {{ startAt: number }} data
+ * @param {number} slot
+ * @returns {number}
+ */
+function slotStart(data, slot) {
+    return data.startAt + slot * ENV.RACE_GAP * 1000;
+}
+
+/**
+ * Sleeps until the round's slot so all VUs fire together.
+ *
+ * @param {number} at - Epoch ms
+ * @returns {void}
+ */
+function waitFor(at) {
+    const ms = at - Date.now();
+    if (ms > 0) {
+        sleep(ms / 1000);
+    } else {
+        logger.warn(`VU ${exec.vu.idInTest} missed the round start by ${-ms}ms`);
+    }
+}
+
+/**
+ * VUs of the whole test: k6 numbers the VUs of both race scenarios together (idInTest 1..2×RACE_VUS)
+ * and does not hand either scenario a contiguous range.
+ *
+ * @returns {number}
+ */
+function testVus() {
+    return ENV.RACE_VUS * 2;
+}
+
+/**
+ * Creates the hot rows (one per update round) and the payloads of both races.
+ * Each hot row gets one write per VU of the test, so every update VU sends a distinct payload
+ * whichever ids it has; the writes of createRace VUs are never sent.
+ * Aborts the test when a hot row cannot be created.
+ *
+ * @returns {{ startAt: number, updates: Record<string, { id: string|number, seed: object, writes: object[] }[]>, creates: Record<string, object[]> }}
+ */
+export function raceSetup() {
+    const updates = {};
+    const creates = {};
+    const run = generateUuid().slice(0, 8);
+
+    for (const entity of raceEntities('update')) {
+        const generateFn = payloadGenerator(entity);
+        updates[entity] = [];
+        for (let round = 0; round < ENV.RACE_ROUNDS; round++) {
+            const seed = generateFn(`race-${run}-${round}`);
+            const res = http.post(
+                collectionUrl(entity),
+                JSON.stringify(seed),
+                opParams(entity, 'create', routeName(entity), { headers: JSON_HEADERS })
+            );
+            const id = res.status === 201 ? parseBody(res)?.id : null;
+            if (id === null || id === undefined) {
+                logResponse(res, false, { entity, op: 'create', expected: '201' });
+                exec.test.abort(`Could not create the hot ${entity} row of round ${round}`);
+            }
+
+            const writes = [];
+            for (let vu = 0; vu < testVus(); vu++) writes.push(generateFn(`race-${run}-${round}-${vu}`));
+            updates[entity].push({ id, seed, writes });
+        }
+    }
+
+    for (const entity of raceEntities('create')) {
+        const generateFn = payloadGenerator(entity);
+        creates[entity] = [];
+        for (let round = 0; round < ENV.RACE_ROUNDS; round++) creates[entity].push(generateFn(`race-${run}-unique-${round}`));
+    }
+
+    // Leave the scenarios time to start their VUs before the first round
+    return { startAt: Date.now() + ENV.RACE_GAP * 1000, updates, creates };
+}
+
+/**
+ * Scenarios of both races: RACE_VUS VUs with one iteration per round each.
+ *
+ * @returns {Record<string, object>}
+ */
+export function raceScenarios() {
+    const race = fn => ({
+        executor: 'per-vu-iterations',
+        exec: fn,
+        vus: ENV.RACE_VUS,
+        iterations: ENV.RACE_ROUNDS,
+        maxDuration: ENV.MAX_DURATION
+    });
+    return { updateRace: race('updateRace'), createRace: race('createRace') };
+}
+
+/**
+ * Records a 5xx answer to a racing request.
+ *
+ * @param {import('k6/http').Response} res
+ * @param {string} entity
+ * @param {string} op
+ * @returns {void}
+ */
+function recordServerError(res, entity, op) {
+    RACE_METRICS.serverErrors.add(res.status >= 500, { entity, op });
+}
+
+/**
+ * One update round of this VU: its write to the round's hot row of every entity, sent together.
+ *
+ * @param {ReturnType<typeof raceSetup>} data
+ * @returns {void}
+ */
+export function updateRace(data) {
+    const round = exec.vu.iterationInScenario;
+    // One write per VU of the test (see testVus()), so the update VUs never share a payload
+    const writer = (exec.vu.idInTest - 1) % testVus();
+    const entities = Object.keys(data.updates);
+
+    waitFor(slotStart(data, round));
+    const responses = http.batch(entities.map(entity => {
+        const { id, writes } = data.updates[entity][round];
+        return ['PUT', `${collectionUrl(entity)}/${id}`, JSON.stringify(writes[writer]),
+            opParams(entity, 'update', routeName(entity, '/{id}'), { headers: JSON_HEADERS, tags: { race: 'update' } })];
+    }));
+
+    responses.forEach((res, i) => {
+        const entity = entities[i];
+        recordServerError(res, entity, 'update');
+        logResponse(res, res.status === 200, { entity, op: 'update', expected: res.status === 200 ? undefined : '200' });
+        check(res, {
+            'race update: status 200': r => r.status === 200,
+            'race update: no 5xx': r => r.status < 500
+        });
+    });
+}
+
+/**
+ * One create round of this VU: the round's contested payload of every entity, sent together.
+ *
+ * @param {ReturnType<typeof raceSetup>} data
+ * @returns {void}
+ */
+export function createRace(data) {
+    const round = exec.vu.iterationInScenario;
+    const entities = Object.keys(data.creates);
+
+    waitFor(slotStart(data, ENV.RACE_ROUNDS + round));
+    const responses = http.batch(entities.map(entity => ['POST', collectionUrl(entity), JSON.stringify(data.creates[entity][round]),
+        opParams(entity, 'create', routeName(entity), { headers: JSON_HEADERS, tags: { race: 'create' } })]));
+
+    responses.forEach((res, i) => {
+        const entity = entities[i];
+        const clean = res.status === 201 || (res.status >= 400 && res.status < 500);
+        recordServerError(res, entity, 'create');
+        if (res.status === 201) RACE_METRICS.createWins.add(1, { entity });
+        logResponse(res, clean, { entity, op: 'create', expected: clean ? undefined : '201,4xx' });
+        check(res, {
+            'race create: 201 or clean 4xx': () => clean,
+            'race create: no 5xx': r => r.status < 500
+        });
+    });
+}
+
+/**
+ * Looks up every unique key of a payload.
+ *
+ * @param {string} entity
+ * @param {object} body
+ * @returns {import('k6/http').Response[]}
+ */
+function lookupAll(entity, body) {
+    return Object.entries(keyValuesOf(entity, body) || {}).map(([key, value]) =>
+        http.get(lookupUrl(entity, key, value), opParams(entity, 'readByKey', routeName(entity, `/${key}/{${key}}`), { tags: { race: 'verify' } }))
+    );
+}
+
+/**
+ * Checks the outcome of every round once all VUs are done (call from teardown):
+ * each hot row equals one of its writes, is found by that write's keys and not by the keys of its
+ * initial state or the losing writes,
+ * and each contested create left exactly one visible row.
+ *
+ * @param {ReturnType<typeof raceSetup>} data
+ * @returns {void}
+ */
+export function raceVerify(data) {
+    for (const [entity, rounds] of Object.entries(data.updates)) {
+        for (const { id, seed, writes } of rounds) {
+            const res = http.get(`${collectionUrl(entity)}/${id}`, opParams(entity, 'read', routeName(entity, '/{id}'), { tags: { race: 'verify' } }));
+            const record = res.status === 200 ? parseBody(res) : null;
+            const winner = writes.find(body => reflects(record, body)) || null;
+
+            RACE_METRICS.inconsistent.add(winner === null, { entity });
+            if (winner === null) logger.warn(`${entity} ${id} matches none of the racing writes`, { status: res.status });
+            check(res, { 'race update: final state is one of the writes': () => winner !== null });
+            if (winner === null) continue;
+
+            check(lookupAll(entity, winner), { 'race update: found by the final keys': all => all.every(r => String(parseBody(r)?.id) === String(id)) });
+
+            const winnerKeys = JSON.stringify(keyValuesOf(entity, winner));
+            for (const loser of [seed, ...writes].filter(body => JSON.stringify(keyValuesOf(entity, body)) !== winnerKeys)) {
+                for (const lookup of lookupAll(entity, loser)) {
+                    const stale = lookup.status === 200;
+                    RACE_METRICS.staleKeys.add(stale, { entity });
+                    if (stale) logger.warn(`${entity} ${id} still found by a superseded key`, { url: lookup.url });
+                }
+            }
+        }
+    }
+
+    for (const [entity, payloads] of Object.entries(data.creates)) {
+        for (const body of payloads) {
+            check(lookupAll(entity, body), { 'race create: winner visible': all => all.every(r => r.status === 200) });
+        }
+    }
+}
+
+/**
+ * Thresholds of the races: no 5xx, no lost or mixed updates, no stale key lookups and exactly one
+ * winning create per contested key.
+ *
+ * @returns {Record<string, string[]>}
+ */
+export function raceThresholds() {
+    const contested = raceEntities('create').length * ENV.RACE_ROUNDS;
+    return {
+        checks: ['rate==1'],
+        race_server_errors: ['rate==0'],
+        race_update_inconsistent: ['rate==0'],
+        race_stale_key_lookups: ['rate==0'],
+        ...(contested ? { race_create_wins: [`count==${contested}`] } : {})
+    };
+}
@@ -0,0 +1,94 @@
+/**
+ * @file lib/ratelimit.js
+ * @description Rate-limit aware request execution for RateLimitMiddleware.
+ * With `-e RATE_LIMIT_AWARE=true` a 429 is retried after `Retry-After` (or an exponential
+ * backoff when the header is missing) instead of being reported as a failed request.
+ */
+
+import { sleep } from 'k6';
+import { ENV } from './env.js';
+import { RATE_LIMIT_METRICS } from './metrics.js';
+import { secureRandomFloat } from './utils.js';
+
+/**
+ * Reads a numeric response header, or null when absent/invalid.
+ *
+ * @param {import('k6/http').Response} res
+ * @param {string} name - Canonical header name (k6 normalizes casing, e.g. X-Ratelimit-Remaining)
+ * @returns {number|null}
+ */
+export function numericHeader(res, name) {
+    const raw = res.headers?.[name];
+    if (raw === undefined || raw === null || raw === '') return null;
+
+    const value = Number(raw);
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Records the X-RateLimit-* headers of a response in the quota gauges.
+ *
+ * @param {import('k6/http').Response} res
+ * @param {{ entity: string, op: string }} tags
+ * @returns {void}
+ */
+function recordQuota(res, tags) {
+    const remaining = numericHeader(res, 'X-Ratelimit-Remaining');
+    const limit = numericHeader(res, 'X-Ratelimit-Limit');
+
+    if (remaining !== null) RATE_LIMIT_METRICS.remaining.add(remaining, tags);
+    if (limit !== null) RATE_LIMIT_METRICS.limit.add(limit, tags);
+}
+
+/**
+ * Seconds to wait before retrying a throttled request: Retry-After when present,
+ * otherwise exponential backoff with jitter. Capped at RATE_LIMIT_MAX_WAIT.
+ *
+ * @param {import('k6/http').Response} res
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number}
+ */
+export function retryDelay(res, attempt) {
+    const retryAfter = numericHeader(res, 'Retry-After');
+    const backoff = ENV.RATE_LIMIT_BACKOFF * 2 ** attempt;
+    const base = retryAfter !== null && retryAfter > 0 ? retryAfter : backoff;
+
+    return Math.min(ENV.RATE_LIMIT_MAX_WAIT, base + secureRandomFloat(0, 0.5, 3));
+}
+
+/**
+ * True when a final response is a 429 that should be reported only as rate limited
+ * (RATE_LIMIT_AWARE), not as a failed request in the op's latency Trend and success check.
+ *
+ * @param {import('k6/http').Response} res
+ * @returns {boolean}
+ */
+export function isThrottled(res) {
+    return ENV.RATE_LIMIT_AWARE && res.status === 429;
+}
+
+/**
+ * Sends a request and, when RATE_LIMIT_AWARE is on, honors 429 responses.
+ * Every 429 is counted in `rate_limited_requests`; the final response is returned,
+ * which is still a 429 when RATE_LIMIT_RETRIES is exhausted.
+ *
+ * @param {() => import('k6/http').Response} send - Performs the HTTP call
+ * @param {{ entity: string, op: string }} tags
+ * @returns {import('k6/http').Response}
+ */
+export function sendWithRateLimit(send, tags) {
+    let res = send();
+    recordQuota(res, tags);
+
+    for (let attempt = 0; res.status === 429; attempt++) {
+        RATE_LIMIT_METRICS.throttled.add(1, tags);
+        if (!ENV.RATE_LIMIT_AWARE || attempt >= ENV.RATE_LIMIT_RETRIES) break;
+
+        sleep(retryDelay(res, attempt));
+        RATE_LIMIT_METRICS.retries.add(1, tags);
+        res = send();
+        recordQuota(res, tags);
+    }
+
+    return res;
+}
@@ -0,0 +1,168 @@
+/**
+ * @file lib/reporters.js
+ * @description handleSummary() file reporters, each enabled by an output path:
+ *   SUMMARY_JSON   raw k6 summary data as JSON
+ *   SUMMARY_JUNIT  JUnit XML with one test case per threshold (for CI test result views)
+ *   SUMMARY_HTML   self-contained HTML with per-entity/op latency tables, checks and thresholds
+ */
+
+import { jUnit } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
+import { ENV } from './env.js';
+import { METRICS_REGISTRY } from './metrics.js';
+import { toUpperSnake } from './utils.js';
+
+// Trend stats shown in the latency tables, in column order.
+const LATENCY_STATS = ['avg', 'min', 'med', 'p(90)', 'p(95)', 'max'];
+
+/**
+ * Escapes text for HTML element content and attributes.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a number with two decimals, or "-" when missing.
+ *
+ * @param {number|undefined} value
+ * @returns {string}
+ */
+function fixed(value) {
+    return Number.isFinite(value) ? value.toFixed(2) : '-';
+}
+
+/**
+ * Flattens the checks of the root group and all nested groups.
+ *
+ * @param {object} group - data.root_group or a nested group
+ * @param {string} [prefix='']
+ * @returns {{ name: string, passes: number, fails: number }[]}
+ */
+function collectChecks(group, prefix = '') {
+    const checks = (group?.checks || []).map(c => ({ name: prefix + c.name, passes: c.passes, fails: c.fails }));
+    for (const child of group?.groups || []) {
+        checks.push(...collectChecks(child, `${prefix}${child.name} › `));
+    }
+    return checks;
+}
+
+/**
+ * Serializes the raw summary data.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {string}
+ */
+export function jsonReport(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Builds a JUnit XML report: every threshold is a test case that fails when the threshold is crossed.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {string}
+ */
+export function junitReport(data) {
+    return jUnit(data, { name: 'k6 thresholds', classname: 'k6' });
+}
+
+/**
+ * Renders the latency table of one entity: a row per op with its Trend stats and op count.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @param {string} entity
+ * @returns {string}
+ */
+function latencyTable(data, entity) {
+    const rows = Object.keys(METRICS_REGISTRY[entity] || {}).map(op => {
+        const prefix = `${toUpperSnake(entity)}_${toUpperSnake(op)}`;
+        const stats = data.metrics[`${prefix}_latency_ms`]?.values || {};
+        const count = data.metrics[`${prefix}_ops`]?.values?.count || 0;
+        const errors = data.metrics[`${prefix}_errors`]?.values?.rate;
+        const cells = LATENCY_STATS.map(stat => `<td>${fixed(stats[stat])}</td>`).join('');
+        return `<tr><th>${escapeHtml(op)}</th><td>${count}</td>${cells}<td>${Number.isFinite(errors) ? (errors * 100).toFixed(2) + '%' : '-'}</td></tr>`;
+    });
+
+    const head = LATENCY_STATS.map(stat => `<th>${escapeHtml(stat)}</th>`).join('');
+    return `<h3>${escapeHtml(entity)}</h3>
+<table><thead><tr><th>op</th><th>ops</th>${head}<th>errors</th></tr></thead>
+<tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Builds a standalone HTML report (inline CSS, no external assets).
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {string}
+ */
+export function htmlReport(data) {
+    const checks = collectChecks(data.root_group);
+    const checkRows = checks.map(c => {
+        const total = c.passes + c.fails;
+        const rate = total ? (c.passes / total) * 100 : 0;
+        return `<tr class="${c.fails ? 'fail' : 'pass'}"><th>${escapeHtml(c.name)}</th><td>${c.passes}</td><td>${c.fails}</td><td>${rate.toFixed(2)}%</td></tr>`;
+    });
+
+    const thresholdRows = [];
+    for (const [metric, { thresholds }] of Object.entries(data.metrics)) {
+        for (const [rule, { ok }] of Object.entries(thresholds || {})) {
+            thresholdRows.push(`<tr class="${ok ? 'pass' : 'fail'}"><th>${escapeHtml(metric)}</th><td>${escapeHtml(rule)}</td><td>${ok ? 'passed' : 'FAILED'}</td></tr>`);
+        }
+    }
+
+    const requests = data.metrics.http_reqs?.values?.count || 0;
+    const failed = data.metrics.http_req_failed?.values?.rate || 0;
+    const duration = data.state?.testRunDurationMs || 0;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>k6 report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #ccc; padding: .3rem .6rem; text-align: right; }
+tbody th { text-align: left; font-weight: normal; }
+thead th { background: #f3f3f3; }
+tr.fail { background: #fde8e8; }
+tr.pass td:last-child { color: #1a7f37; }
+</style>
+</head>
+<body>
+<h1>k6 report</h1>
+<p>${escapeHtml(ENV.BASE_URL)} · profile ${escapeHtml(ENV.PROFILE)} · ${(duration / 1000).toFixed(1)}s ·
+${requests} requests · ${(failed * 100).toFixed(2)}% failed</p>
+<h2>Latency (ms)</h2>
+${Object.keys(METRICS_REGISTRY).map(entity => latencyTable(data, entity)).join('\n')}
+<h2>Checks</h2>
+<table><thead><tr><th>check</th><th>passes</th><th>fails</th><th>pass rate</th></tr></thead>
+<tbody>${checkRows.join('')}</tbody></table>
+<h2>Thresholds</h2>
+<table><thead><tr><th>metric</th><th>rule</th><th>result</th></tr></thead>
+<tbody>${thresholdRows.join('')}</tbody></table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Returns the file outputs of all reporters enabled through their path variables.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {Record<string, string>} Path → content, merged into the handleSummary() result
+ */
+export function fileReports(data) {
+    const outputs = {};
+    if (ENV.SUMMARY_JSON) outputs[ENV.SUMMARY_JSON] = jsonReport(data);
+    if (ENV.SUMMARY_JUNIT) outputs[ENV.SUMMARY_JUNIT] = junitReport(data);
+    if (ENV.SUMMARY_HTML) outputs[ENV.SUMMARY_HTML] = htmlReport(data);
+    return outputs;
+}
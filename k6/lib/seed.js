@@ -0,0 +1,181 @@
+/**
+ * @file lib/seed.js
+ * @description Batched setup() seeding. Creates are sent with `http.batch` in chunks of SEED_BATCH_SIZE
+ * (k6 runs up to SEED_CONCURRENCY of them in parallel, see batchOptions()); failures that mean the
+ * create was not applied (408, 429, 502, 503, 504) are retried with backoff. Network errors and 500s
+ * are not: the row may exist already, so a retry would duplicate it or fail its unique key.
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import exec from 'k6/execution';
+import { ENV } from './env.js';
+import { collectionUrl } from './openapi.js';
+import { retryDelay } from './ratelimit.js';
+import { traced } from './tracing.js';
+
+// Statuses that mean the request was not applied, so even a POST may be resent unchanged.
+const NOT_APPLIED_STATUSES = [408, 429, 502, 503, 504];
+
+// Statuses worth retrying for idempotent requests (GET, DELETE, ...), which may also have been applied.
+const TRANSIENT_STATUSES = [0, 500, ...NOT_APPLIED_STATUSES];
+
+/**
+ * Returns true when a request with this method and response status may be resent.
+ *
+ * @param {string} method
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetriable(method, status) {
+    const statuses = String(method).toUpperCase() === 'POST' ? NOT_APPLIED_STATUSES : TRANSIENT_STATUSES;
+    return statuses.includes(status);
+}
+
+/**
+ * k6 options that set the parallelism of http.batch to SEED_CONCURRENCY. k6 options are run-wide, so
+ * the limit applies to every http.batch of the run (e.g. teardown cleanup), not only to setup();
+ * without it k6 would cap each batch at 6 requests per host.
+ *
+ * @returns {{ batch: number, batchPerHost: number }}
+ */
+export function batchOptions() {
+    return { batch: ENV.SEED_CONCURRENCY, batchPerHost: ENV.SEED_CONCURRENCY };
+}
+
+/**
+ * Parses the id of a synchronous create response.
+ *
+ * @param {import('k6/http').Response} res
+ * @returns {string|number|null}
+ */
+function createdId(res) {
+    try {
+        return JSON.parse(res.body)?.id || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Seconds to wait before retrying a batch: the longest Retry-After of its 429s,
+ * otherwise exponential backoff.
+ *
+ * @param {import('k6/http').Response[]} responses - Transient failures of the last attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number}
+ */
+function backoffFor(responses, attempt) {
+    const throttled = responses.filter(res => res.status === 429);
+    if (throttled.length) return Math.max(...throttled.map(res => retryDelay(res, attempt)));
+    return ENV.SEED_BACKOFF * 2 ** attempt;
+}
+
+/**
+ * Sends requests with `http.batch`, retrying transient failures up to SEED_RETRIES times
+ * (POSTs only when the failure means they were not applied, see isRetriable()).
+ * Every attempt gets fresh correlation headers, so a retry is not logged under the failed request's id.
+ * Also used by teardown cleanup (see lib/cleanup.js).
+ *
+ * @param {Array<[string, string, (string|null)?, object?]>} requests - http.batch request tuples, without correlation headers
+ * @returns {import('k6/http').Response[]} Final response per request, in request order
+ */
+export function batchWithRetry(requests) {
+    const responses = new Array(requests.length);
+    let pending = requests.map((_, i) => i);
+
+    for (let attempt = 0; pending.length; attempt++) {
+        const batch = http.batch(pending.map(i => {
+            const [method, url, body = null, params] = requests[i];
+            return [method, url, body, traced(params)];
+        }));
+        const retry = [];
+        const transient = [];
+
+        batch.forEach((res, j) => {
+            responses[pending[j]] = res;
+            if (isRetriable(requests[pending[j]][0], res.status) && attempt < ENV.SEED_RETRIES) {
+                retry.push(pending[j]);
+                transient.push(res);
+            }
+        });
+
+        pending = retry;
+        if (pending.length) sleep(backoffFor(transient, attempt));
+    }
+
+    return responses;
+}
+
+/**
+ * Sends one chunk of creates and sorts the results into created, accepted and failed.
+ *
+ * @param {string} url - Collection URL
+ * @param {object[]} bodies - Payloads of the chunk
+ * @param {{ created: { id: string|number, body: object }[], accepted: { body: object, acceptedAt: number }[], failed: number, statuses: Record<string, number> }} result
+ * @returns {void}
+ */
+function seedChunk(url, bodies, result) {
+    const params = { headers: { 'Content-Type': 'application/json' }, tags: { name: `seed:${url}` } };
+    const responses = batchWithRetry(bodies.map(body => ['POST', url, JSON.stringify(body), params]));
+
+    responses.forEach((res, i) => {
+        const body = bodies[i];
+        const id = res.status === 200 || res.status === 201 ? createdId(res) : null;
+
+        if (id) {
+            result.created.push({ id, body });
+        } else if (res.status === 202) {
+            result.accepted.push({ body, acceptedAt: Date.now() });
+        } else {
+            result.failed++;
+            result.statuses[res.status] = (result.statuses[res.status] || 0) + 1;
+        }
+    });
+}
+
+/**
+ * Seeds `total` entities in batches and prints how many were seeded versus requested.
+ * Synchronous creates (200/201) are returned with their ids, async ones (202) as accepted jobs
+ * for awaitCreates().
+ *
+ * @param {string} entity
+ * @param {(index: number) => object} generateFn - Payload generator
+ * @param {number} [total=ENV.TOTAL_ENTITIES]
+ * @returns {{ requested: number, created: { id: string|number, body: object }[], accepted: { body: object, acceptedAt: number }[], failed: number, statuses: Record<string, number> }}
+ */
+export function seedEntity(entity, generateFn, total = ENV.TOTAL_ENTITIES) {
+    const url = collectionUrl(entity);
+    const result = { requested: total, created: [], accepted: [], failed: 0, statuses: {} };
+    const startedAt = Date.now();
+
+    for (let start = 0; start < total; start += ENV.SEED_BATCH_SIZE) {
+        const bodies = [];
+        for (let i = start; i < Math.min(start + ENV.SEED_BATCH_SIZE, total); i++) bodies.push(generateFn(i));
+        seedChunk(url, bodies, result);
+    }
+
+    const seeded = result.created.length + result.accepted.length;
+    const statuses = Object.entries(result.statuses).map(([status, n]) => `${status}×${n}`).join(', ');
+    console.log(
+        `🌱 Seeded ${entity}: ${seeded}/${total} (${result.created.length} created, ${result.accepted.length} accepted, ` +
+        `${result.failed} failed${statuses ? `: ${statuses}` : ''}) in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`
+    );
+
+    return result;
+}
+
+/**
+ * Aborts the test when fewer than SEED_MIN_RATIO of the requested seeds succeeded,
+ * as the workload would then run against a much smaller data set than configured.
+ *
+ * @param {string} entity
+ * @param {{ requested: number, created: object[], accepted: object[] }} result
+ * @returns {void}
+ */
+export function assertSeeded(entity, result) {
+    const seeded = result.created.length + result.accepted.length;
+    if (result.requested > 0 && seeded / result.requested < ENV.SEED_MIN_RATIO) {
+        exec.test.abort(`Seeded only ${seeded}/${result.requested} ${entity} (SEED_MIN_RATIO=${ENV.SEED_MIN_RATIO})`);
+    }
+}
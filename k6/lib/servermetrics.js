@@ -0,0 +1,415 @@
+/**
+ * @file lib/servermetrics.js
+ * @description Server-side metrics correlation (`-e SERVER_METRICS=true`). The Prometheus text exposed at
+ * /metrics is scraped in setup(), every SERVER_METRICS_INTERVAL seconds from a dedicated one-VU scenario,
+ * and in teardown(). Teardown prints the server deltas (requests and latency per route, tasks; every
+ * gauge only at LOG_LEVEL=debug) and records totals that the summary compares with what the
+ * client saw, flagging mismatches such as client-seen 5xx the server never recorded.
+ *
+ * The server keeps its metrics in Redis and skips /health and /metrics, so the deltas include traffic
+ * of other clients and exclude requests to unrouted paths.
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { ENV } from './env.js';
+import { logger } from './logger.js';
+import { ERROR_REGISTRY, SERVER_METRICS } from './metrics.js';
+import { durationOf } from './profiles.js';
+import { traced } from './tracing.js';
+
+// Families written by HttpMetricsTask/TaskMetricsTask. promphp names a family `<namespace>_<name>` and
+// getOrRegisterCounter()/getOrRegisterHistogram() take the namespace first, e.g. ('http_requests_total', 'Requests').
+const HTTP_REQUESTS = 'http_requests_total_Requests';
+const HTTP_SECONDS = 'http_request_seconds_Latency';
+const TASK_REQUESTS = 'task_requests_total_Tasks';
+
+/**
+ * One parsed sample line.
+ * @typedef {{ name: string, labels: Record<string, string>, value: number }} Sample
+ */
+
+/**
+ * One scrape: metric family types and all samples.
+ * @typedef {{ at: number, types: Record<string, string>, samples: Sample[] }} Snapshot
+ */
+
+/**
+ * Parses a Prometheus sample value, including NaN and ±Inf.
+ *
+ * @param {string} raw
+ * @returns {number}
+ */
+function parseValue(raw) {
+    if (raw === '+Inf') return Infinity;
+    if (raw === '-Inf') return -Infinity;
+    return Number(raw);
+}
+
+/**
+ * Parses the label block of a sample line (`{a="1",b="x\"y"}`).
+ *
+ * @param {string} block - Text between the braces
+ * @returns {Record<string, string>}
+ */
+function parseLabels(block) {
+    const labels = {};
+    for (const [, key, value] of block.matchAll(/([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\.)*)"/g)) {
+        labels[key] = value.replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c));
+    }
+    return labels;
+}
+
+/**
+ * Parses the Prometheus text exposition format.
+ *
+ * @param {string} text
+ * @returns {{ types: Record<string, string>, samples: Sample[] }}
+ */
+export function parsePrometheus(text) {
+    const types = {};
+    const samples = [];
+
+    for (const line of String(text || '').split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        if (trimmed.startsWith('#')) {
+            const type = trimmed.match(/^#\s*TYPE\s+(\S+)\s+(\S+)/);
+            if (type) types[type[1]] = type[2];
+            continue;
+        }
+
+        const sample = trimmed.match(/^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(\S+)/);
+        if (sample) samples.push({ name: sample[1], labels: parseLabels(sample[2] || ''), value: parseValue(sample[3]) });
+    }
+
+    return { types, samples };
+}
+
+/**
+ * Scrapes the server metrics.
+ *
+ * @returns {Snapshot|null} Null when the endpoint is unavailable
+ */
+export function scrapeServerMetrics() {
+    const url = ENV.SERVER_METRICS_URL || `${ENV.BASE_URL}/metrics`;
+    const res = http.get(url, traced({ tags: { name: 'server-metrics' } }));
+    SERVER_METRICS.scrapes.add(1);
+
+    if (res.status !== 200) {
+        logger.warn(`Server metrics not scraped from ${url}: status ${res.status}`);
+        return null;
+    }
+    return { at: Date.now(), ...parsePrometheus(res.body) };
+}
+
+/**
+ * Final scrape: the server records metrics from a task queue, so it scrapes until the
+ * request total stops moving (at most 5 seconds).
+ *
+ * @returns {Snapshot|null}
+ */
+function settledScrape() {
+    let snapshot = scrapeServerMetrics();
+    for (let attempt = 0; snapshot && attempt < 5; attempt++) {
+        sleep(1);
+        const next = scrapeServerMetrics();
+        if (!next) break;
+        const settled = httpTotals(deltaOf(snapshot, next)).requests === 0;
+        snapshot = next;
+        if (settled) break;
+    }
+    return snapshot;
+}
+
+/**
+ * Family of a sample: its own name, or the histogram/summary base name.
+ *
+ * @param {string} name
+ * @param {Record<string, string>} types
+ * @returns {string}
+ */
+function familyOf(name, types) {
+    if (types[name]) return name;
+    const base = name.replace(/_(bucket|sum|count)$/, '');
+    return types[base] ? base : name;
+}
+
+/**
+ * Identity of a series: name plus sorted labels.
+ *
+ * @param {Sample} sample
+ * @returns {string}
+ */
+function seriesKey(sample) {
+    const labels = Object.keys(sample.labels).sort().map(key => `${key}=${sample.labels[key]}`);
+    return `${sample.name}{${labels.join(',')}}`;
+}
+
+/**
+ * Differences between two scrapes. Counters and histograms become increases (a counter that went
+ * down was reset, so its current value is the increase); gauges keep their before/after values.
+ *
+ * @param {Snapshot} before
+ * @param {Snapshot} after
+ * @returns {{ seconds: number, counters: Sample[], gauges: (Sample & { before: number|undefined })[] }}
+ */
+export function deltaOf(before, after) {
+    const previous = new Map(before.samples.map(sample => [seriesKey(sample), sample.value]));
+    const types = { ...before.types, ...after.types };
+    const counters = [];
+    const gauges = [];
+
+    for (const sample of after.samples) {
+        const base = previous.get(seriesKey(sample));
+        const type = types[familyOf(sample.name, types)];
+        if (type === 'counter' || type === 'histogram' || type === 'summary') {
+            const value = base === undefined || sample.value < base ? sample.value : sample.value - base;
+            counters.push({ ...sample, value });
+        } else {
+            gauges.push({ ...sample, before: base });
+        }
+    }
+
+    return { seconds: (after.at - before.at) / 1000, counters, gauges };
+}
+
+/**
+ * Sums the increases of the samples with the given name, grouped by a key.
+ *
+ * @param {Sample[]} counters
+ * @param {string} name - Sample name, e.g. a family or its histogram `_sum`/`_count`/`_bucket` series
+ * @param {(sample: Sample) => string} keyOf
+ * @returns {Map<string, number>}
+ */
+function sumBy(counters, name, keyOf) {
+    const sums = new Map();
+    for (const sample of counters) {
+        if (sample.name !== name) continue;
+        const key = keyOf(sample);
+        sums.set(key, (sums.get(key) || 0) + sample.value);
+    }
+    return sums;
+}
+
+/**
+ * Estimates a quantile from histogram bucket increases (linear interpolation inside the bucket).
+ *
+ * @param {Map<string, number>} buckets - Upper bound (`le`) → cumulative count
+ * @param {number} q - Quantile (0-1)
+ * @returns {number|null} Seconds, or null without observations
+ */
+function histogramQuantile(buckets, q) {
+    const sorted = [...buckets.entries()].map(([le, count]) => [parseValue(le), count]).sort((a, b) => a[0] - b[0]);
+    const total = sorted.length ? sorted[sorted.length - 1][1] : 0;
+    if (!total) return null;
+
+    const rank = q * total;
+    let lower = 0;
+    let below = 0;
+    for (const [upper, count] of sorted) {
+        if (count >= rank) {
+            if (upper === Infinity) return lower;
+            return lower + (upper - lower) * ((rank - below) / ((count - below) || 1));
+        }
+        lower = upper;
+        below = count;
+    }
+    return lower;
+}
+
+/**
+ * HTTP request totals of a delta: requests, 5xx, average and estimated p95 (ms), overall and per route.
+ *
+ * @param {{ counters: Sample[] }} delta
+ * @returns {{ requests: number, errors5xx: number, avgMs: number|null, p95Ms: number|null, routes: { route: string, requests: number, errors5xx: number, avgMs: number|null, p95Ms: number|null }[] }}
+ */
+export function httpTotals(delta) {
+    const { counters } = delta;
+    const routeOf = sample => `${sample.labels.method || '?'} ${sample.labels.path || '?'}`;
+    const requests = sumBy(counters, HTTP_REQUESTS, routeOf);
+    const errors = sumBy(counters.filter(s => /^5\d\d$/.test(s.labels.status || '')), HTTP_REQUESTS, routeOf);
+    const sums = sumBy(counters, `${HTTP_SECONDS}_sum`, routeOf);
+    const counts = sumBy(counters, `${HTTP_SECONDS}_count`, routeOf);
+
+    const latency = (route) => {
+        const buckets = sumBy(
+            counters.filter(s => route === null || routeOf(s) === route),
+            `${HTTP_SECONDS}_bucket`,
+            s => s.labels.le
+        );
+        const sum = route === null ? [...sums.values()].reduce((a, b) => a + b, 0) : sums.get(route) || 0;
+        const count = route === null ? [...counts.values()].reduce((a, b) => a + b, 0) : counts.get(route) || 0;
+        const p95 = histogramQuantile(buckets, 0.95);
+        return { avgMs: count ? (sum / count) * 1000 : null, p95Ms: p95 === null ? null : p95 * 1000 };
+    };
+
+    const routes = [...requests.keys()].sort().map(route => ({
+        route,
+        requests: requests.get(route),
+        errors5xx: errors.get(route) || 0,
+        ...latency(route)
+    }));
+
+    return {
+        requests: routes.reduce((sum, r) => sum + r.requests, 0),
+        errors5xx: routes.reduce((sum, r) => sum + r.errors5xx, 0),
+        ...latency(null),
+        routes
+    };
+}
+
+/**
+ * Adds the periodic scrape scenario to a `scenarios` block.
+ * Needs a fixed test duration; the function named by `exec` must be exported by the entrypoint.
+ *
+ * @param {Record<string, object>} scenarios
+ * @param {string} [execName='serverMetricsScenario']
+ * @returns {Record<string, object>}
+ */
+export function withServerMetricsScenario(scenarios, execName = 'serverMetricsScenario') {
+    const duration = durationOf(scenarios);
+    if (!ENV.SERVER_METRICS || ENV.SERVER_METRICS_INTERVAL <= 0 || !duration) return scenarios;
+
+    return {
+        ...scenarios,
+        server_metrics: {
+            executor: 'constant-arrival-rate',
+            rate: 1,
+            timeUnit: `${ENV.SERVER_METRICS_INTERVAL}s`,
+            duration: `${Math.ceil(duration)}s`,
+            preAllocatedVUs: 1,
+            maxVUs: 1,
+            exec: execName
+        }
+    };
+}
+
+// Previous scrape of the periodic scenario VU.
+let lastScrape = null;
+
+/**
+ * Periodic scrape: records the server request rate, average latency and 5xx of the last window.
+ *
+ * @returns {void}
+ */
+export function serverMetricsScenario() {
+    const snapshot = scrapeServerMetrics();
+    if (!snapshot) return;
+
+    if (lastScrape) {
+        const delta = deltaOf(lastScrape, snapshot);
+        const totals = httpTotals(delta);
+        if (delta.seconds > 0) SERVER_METRICS.rps.add(totals.requests / delta.seconds);
+        if (totals.avgMs !== null) SERVER_METRICS.windowAvg.add(totals.avgMs);
+        SERVER_METRICS.window5xx.add(totals.errors5xx);
+    }
+    lastScrape = snapshot;
+}
+
+/**
+ * First scrape; call it at the start of setup() and keep the result in the setup data.
+ *
+ * @returns {Snapshot|null} Null when SERVER_METRICS is off or the scrape failed
+ */
+export function serverMetricsStart() {
+    return ENV.SERVER_METRICS ? scrapeServerMetrics() : null;
+}
+
+/**
+ * Formats milliseconds, or "-" when unknown.
+ *
+ * @param {number|null|undefined} value
+ * @returns {string}
+ */
+function ms(value) {
+    return Number.isFinite(value) ? value.toFixed(2) : '-';
+}
+
+/**
+ * Final scrape; call it at the end of teardown(). Records the totals since the setup scrape
+ * for the summary and prints the server deltas.
+ *
+ * @param {Snapshot|null} start - Result of serverMetricsStart()
+ * @returns {void}
+ */
+export function serverMetricsEnd(start) {
+    if (!ENV.SERVER_METRICS) return;
+    const end = start && settledScrape();
+    if (!end) {
+        logger.warn('Server metrics unavailable: no setup/teardown scrape to compare');
+        return;
+    }
+
+    const delta = deltaOf(start, end);
+    const totals = httpTotals(delta);
+    SERVER_METRICS.requests.add(totals.requests);
+    SERVER_METRICS.errors5xx.add(totals.errors5xx);
+    if (totals.avgMs !== null) SERVER_METRICS.avg.add(totals.avgMs);
+    if (totals.p95Ms !== null) SERVER_METRICS.p95.add(totals.p95Ms);
+
+    console.log(`================ SERVER METRICS (${delta.seconds.toFixed(0)}s) ================`);
+    console.log(`  ${'route'.padEnd(36)}${'requests'.padStart(10)}${'5xx'.padStart(7)}${'avg ms'.padStart(10)}${'p95 ms'.padStart(10)}`);
+    for (const r of totals.routes) {
+        console.log(`  ${r.route.padEnd(36)}${String(r.requests).padStart(10)}${String(r.errors5xx).padStart(7)}${ms(r.avgMs).padStart(10)}${ms(r.p95Ms).padStart(10)}`);
+    }
+
+    const tasks = sumBy(delta.counters, TASK_REQUESTS, s => `${s.labels.class || '?'} ${s.labels.status || ''}`.trim());
+    for (const [task, count] of tasks) console.log(`  task ${task}: ${count}`);
+
+    console.log('=========================================================');
+
+    // The exposition holds many gauges (php_info, ...); dump them only when debugging
+    for (const gauge of delta.gauges) {
+        const labels = Object.entries(gauge.labels).map(([k, v]) => `${k}=${v}`).join(',');
+        logger.debug(`server gauge ${gauge.name}${labels ? `{${labels}}` : ''}: ${gauge.before ?? '-'} → ${gauge.value}`);
+    }
+}
+
+/**
+ * Renders client vs. server totals for the summary and flags mismatches beyond SERVER_METRICS_TOLERANCE.
+ * Client requests exclude the scrapes (the server does not count /metrics); client 5xx are the CRUD op counters.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {string} Empty when no teardown scrape was recorded
+ */
+export function serverMetricsReport(data) {
+    const server = data.metrics[SERVER_METRICS.requests.name];
+    if (!server) return '';
+
+    const count = name => data.metrics[name]?.values?.count || 0;
+    let client5xx = 0;
+    for (const ops of Object.values(ERROR_REGISTRY)) {
+        for (const { classes } of Object.values(ops)) client5xx += count(classes['5xx'].name);
+    }
+
+    const clientDuration = data.metrics.http_req_duration?.values || {};
+    const rows = [
+        ['requests', count('http_reqs') - count(SERVER_METRICS.scrapes.name), count(SERVER_METRICS.requests.name), true],
+        ['5xx', client5xx, count(SERVER_METRICS.errors5xx.name), true],
+        ['avg ms', clientDuration.avg, data.metrics[SERVER_METRICS.avg.name]?.values?.value, false],
+        ['p95 ms', clientDuration['p(95)'], data.metrics[SERVER_METRICS.p95.name]?.values?.value, false]
+    ];
+
+    const lines = ['', '============ CLIENT vs. SERVER (/metrics) ============'];
+    lines.push(`  ${''.padEnd(12)}${'client'.padStart(12)}${'server'.padStart(12)}  verdict`);
+    let mismatches = 0;
+    for (const [label, client, srv, counted] of rows) {
+        if (!Number.isFinite(client) || !Number.isFinite(srv)) continue;
+
+        // Counts must agree within the tolerance; the server cannot be slower than the client saw it
+        const mismatch = counted
+            ? Math.abs(client - srv) > ENV.SERVER_METRICS_TOLERANCE * Math.max(client, srv, 1)
+            : srv > client;
+        const verdict = mismatch ? 'MISMATCH' : counted ? 'ok' : `ok (${ms(client - srv)} ms outside the server)`;
+        if (mismatch) mismatches++;
+
+        const format = value => (counted ? String(value) : ms(value));
+        lines.push(`  ${label.padEnd(12)}${format(client).padStart(12)}${format(srv).padStart(12)}  ${verdict}`);
+    }
+
+    lines.push('', `  ${mismatches ? `${mismatches} mismatch(es) between client and server metrics` : 'client and server agree'}`);
+    lines.push('=====================================================', '');
+    return lines.join('\n');
+}
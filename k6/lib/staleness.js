@@ -0,0 +1,125 @@
+/**
+ * @file lib/staleness.js
+ * @description Cache staleness probe for synchronous writes. Reads go through the per-worker
+ * TableCacheService and Redis, so a read right after executeUpdate/executeDelete may still see the
+ * old row. With `-e STALENESS_SAMPLE=0.1` one in ten successful updates/deletes is followed by reads
+ * of the id until the write is visible: the update payload carries fresh unique values (email, sku)
+ * that act as the marker, a delete must read 404. Every probe read closes its connection, so
+ * consecutive reads reach different Swoole workers (requests are dispatched per connection).
+ *
+ * Per entity/op (see STALENESS_REGISTRY): <ENTITY>_<OP>_staleness_ms (write→visible window),
+ * <ENTITY>_<OP>_stale_reads (reads that returned the old state, each logged with its request id)
+ * and <ENTITY>_<OP>_stale_unresolved (probes still stale after STALENESS_TIMEOUT).
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { ENV } from './env.js';
+import { logger } from './logger.js';
+import { STALENESS_REGISTRY } from './metrics.js';
+import { collectionUrl, routeName } from './openapi.js';
+import { correlationOf, traced } from './tracing.js';
+import { parseBody, reflects, secureRandomFloat, toUpperSnake } from './utils.js';
+
+/**
+ * Decides whether this write is probed, based on STALENESS_SAMPLE (0-1).
+ *
+ * @param {string} entity
+ * @param {string} op
+ * @returns {boolean}
+ */
+export function shouldProbeStaleness(entity, op) {
+    if (!STALENESS_REGISTRY[entity]?.[op]) return false;
+    return ENV.STALENESS_SAMPLE >= 1 || secureRandomFloat(0, 1, 4) < ENV.STALENESS_SAMPLE;
+}
+
+/**
+ * Classifies one probe read: fresh (the write is visible), stale (the old state) or neither
+ * (any other status, e.g. a 5xx, which says nothing about the cache).
+ *
+ * @param {import('k6/http').Response} res
+ * @param {'update'|'delete'} op
+ * @param {object} [body] - Update payload
+ * @returns {'fresh'|'stale'|null}
+ */
+function classify(res, op, body) {
+    if (op === 'delete') {
+        if (res.status === 404) return 'fresh';
+        return res.status === 200 ? 'stale' : null;
+    }
+    if (res.status !== 200) return null;
+    return reflects(parseBody(res), body) ? 'fresh' : 'stale';
+}
+
+/**
+ * Reads the id until the write is visible or STALENESS_TIMEOUT elapses.
+ *
+ * @param {string} entity
+ * @param {'update'|'delete'} op
+ * @param {{ id: string|number, body?: object }} write
+ * @param {number} [writtenAt=Date.now()] - Epoch ms the write was acknowledged
+ * @returns {{ fresh: boolean, staleReads: number, window: number }}
+ */
+export function probeStaleness(entity, op, write, writtenAt = Date.now()) {
+    const metrics = STALENESS_REGISTRY[entity][op];
+    const params = { headers: { Connection: 'close' }, tags: { name: routeName(entity, '/{id}'), entity, op: 'staleness', write_op: op } };
+    const deadline = writtenAt + ENV.STALENESS_TIMEOUT * 1000;
+    let staleReads = 0;
+
+    do {
+        const res = http.get(`${collectionUrl(entity)}/${write.id}`, traced(params));
+        const outcome = classify(res, op, write.body);
+
+        if (outcome !== null) metrics.stale.add(outcome === 'stale');
+        if (outcome === 'fresh') {
+            const window = Date.now() - writtenAt;
+            metrics.window.add(window);
+            metrics.unresolved.add(false);
+            return { fresh: true, staleReads, window };
+        }
+        if (outcome === 'stale') {
+            staleReads++;
+            logger.warn('stale read', {
+                entity, op, id: write.id, status: res.status, since_write_ms: Date.now() - writtenAt, ...correlationOf(res)
+            });
+        }
+        sleep(ENV.STALENESS_POLL_INTERVAL);
+    } while (Date.now() < deadline);
+
+    metrics.unresolved.add(true);
+    logger.warn(`${entity} ${op} not visible after ${ENV.STALENESS_TIMEOUT}s`, { id: write.id, stale_reads: staleReads });
+    return { fresh: false, staleReads, window: Date.now() - writtenAt };
+}
+
+/**
+ * Renders the staleness window and stale reads per probed entity/op (STALENESS_SAMPLE > 0).
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {string}
+ */
+export function stalenessReport(data) {
+    const entities = Object.keys(STALENESS_REGISTRY);
+    if (!entities.length) return '';
+
+    const lines = ['', '=================== STALENESS ==================='];
+    lines.push(`  ${'entity/op'.padEnd(24)}${'probes'.padStart(8)}${'stale'.padStart(8)}${'stale%'.padStart(9)}${'p95 ms'.padStart(9)}${'max ms'.padStart(9)}${'never'.padStart(7)}`);
+    for (const entity of entities) {
+        for (const op of Object.keys(STALENESS_REGISTRY[entity])) {
+            const prefix = `${toUpperSnake(entity)}_${toUpperSnake(op)}`;
+            const unresolved = data.metrics[`${prefix}_stale_unresolved`]?.values;
+            const stale = data.metrics[`${prefix}_stale_reads`]?.values;
+            const window = data.metrics[`${prefix}_staleness_ms`]?.values;
+            const probes = (unresolved?.passes || 0) + (unresolved?.fails || 0);
+            if (!probes) continue;
+
+            lines.push(
+                `  ${`${entity}/${op}`.padEnd(24)}${String(probes).padStart(8)}${String(stale?.passes || 0).padStart(8)}` +
+                `${`${((stale?.rate || 0) * 100).toFixed(1)}%`.padStart(9)}${(window?.['p(95)'] ?? 0).toFixed(1).padStart(9)}` +
+                `${(window?.max ?? 0).toFixed(1).padStart(9)}${String(unresolved?.passes || 0).padStart(7)}`
+            );
+        }
+    }
+    lines.push('  stale% is the share of probe reads that returned the old state; never = still stale at STALENESS_TIMEOUT');
+    lines.push('=================================================', '');
+    return lines.join('\n');
+}
@@ -0,0 +1,118 @@
+/**
+ * @file lib/summary.js
+ * @description End-of-test summary: the standard k6 text summary followed by custom report sections.
+ */
+
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
+import { ENV } from './env.js';
+import { mixFor } from './mix.js';
+import { fileReports } from './reporters.js';
+import { baselineOf, baselineReport } from './baseline.js';
+import { ERROR_REGISTRY, METRICS_REGISTRY } from './metrics.js';
+import { serverMetricsReport } from './servermetrics.js';
+import { stalenessReport } from './staleness.js';
+import { STATUS_CLASSES, toUpperSnake } from './utils.js';
+
+/**
+ * Trend stats kept in the summary data; p(99) is needed by the baseline comparison.
+ * @constant
+ * @type {string[]}
+ */
+export const SUMMARY_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'];
+
+/**
+ * Formats a fraction as a right-aligned percentage.
+ *
+ * @param {number} value - Fraction (0-1)
+ * @returns {string}
+ */
+function percent(value) {
+    return `${(value * 100).toFixed(1)}%`.padStart(9);
+}
+
+/**
+ * Renders the requested vs. realized operation mix per entity.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {string}
+ */
+export function mixReport(data) {
+    const lines = ['', '================= OPERATION MIX ================='];
+
+    for (const entity of ENV.ENTITIES) {
+        const { ops, weights, total } = mixFor(entity);
+        const counts = ops.map(op => data.metrics[`${toUpperSnake(entity)}_${toUpperSnake(op)}_ops`]?.values?.count || 0);
+        const executed = counts.reduce((sum, c) => sum + c, 0);
+
+        lines.push(`${entity} (${executed} ops)`);
+        lines.push(`  ${'op'.padEnd(16)}${'requested'.padStart(9)}${'realized'.padStart(9)}${'count'.padStart(9)}`);
+        ops.forEach((op, i) => {
+            const requested = total ? weights[i] / total : 0;
+            const realized = executed ? counts[i] / executed : 0;
+            lines.push(`  ${op.padEnd(16)}${percent(requested)}${percent(realized)}${String(counts[i]).padStart(9)}`);
+        });
+    }
+
+    lines.push('=================================================', '');
+    return lines.join('\n');
+}
+
+/**
+ * Renders responses per status class and the error rate of every entity/op that had errors,
+ * followed by the time each error class first appeared (the layer that broke first).
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @returns {string}
+ */
+export function errorReport(data) {
+    const lines = ['', '==================== ERRORS ====================='];
+    const header = `  ${'entity/op'.padEnd(28)}${'errors'.padStart(9)}` + STATUS_CLASSES.map(cls => cls.padStart(11)).join('');
+    const rows = [];
+
+    for (const [entity, ops] of Object.entries(ERROR_REGISTRY)) {
+        for (const [op, { errors, classes }] of Object.entries(ops)) {
+            const rate = data.metrics[errors.name]?.values;
+            if (!rate?.passes) continue;
+
+            const counts = STATUS_CLASSES.map(cls => data.metrics[classes[cls].name]?.values?.count || 0);
+            rows.push(`  ${`${entity}/${op}`.padEnd(28)}${percent(rate.rate)}` + counts.map(c => String(c).padStart(11)).join(''));
+        }
+    }
+
+    lines.push(rows.length ? header : '  no unexpected responses', ...rows);
+
+    const onsets = STATUS_CLASSES
+        .map(cls => [cls, data.metrics[`errors_${cls}_at_s`]?.values?.min])
+        .filter(([, at]) => Number.isFinite(at))
+        .sort((a, b) => a[1] - b[1]);
+    if (onsets.length) {
+        lines.push('', `  first seen: ${onsets.map(([cls, at]) => `${cls} at ${at.toFixed(1)}s`).join(', ')}`);
+    }
+
+    lines.push('=================================================', '');
+    return lines.join('\n');
+}
+
+/**
+ * Builds the handleSummary() output: the text summary on stdout plus the JSON/JUnit/HTML
+ * reports enabled through SUMMARY_JSON, SUMMARY_JUNIT and SUMMARY_HTML, the staleness probes (STALENESS_SAMPLE),
+ * the baseline diff against BASELINE_FILE, the client vs. server comparison (SERVER_METRICS) and,
+ * with BASELINE_SAVE, this run's baseline.
+ *
+ * @param {object} data - Summary data passed to handleSummary
+ * @param {{ mix?: boolean }} [sections] - `mix: false` drops the CRUD operation mix (non-CRUD entrypoints)
+ * @returns {Record<string, string>}
+ */
+export function buildSummary(data, { mix = true } = {}) {
+    const output = {
+        stdout: textSummary(data, { indent: ' ', enableColors: true }) + (mix ? mixReport(data) : '') +
+            errorReport(data) + stalenessReport(data) + baselineReport(data) + serverMetricsReport(data),
+        ...fileReports(data),
+    };
+
+    if (ENV.BASELINE_SAVE) {
+        const entityOps = Object.fromEntries(Object.entries(METRICS_REGISTRY).map(([entity, ops]) => [entity, Object.keys(ops)]));
+        output[ENV.BASELINE_SAVE] = baselineOf(data, entityOps);
+    }
+    return output;
+}
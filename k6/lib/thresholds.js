@@ -0,0 +1,113 @@
+/**
+ * @file lib/thresholds.js
+ * @description Threshold budgets: built-in defaults, overridden by a JSON file (`-e THRESHOLDS_FILE=...`, JSON only)
+ * and then by inline JSON (`-e THRESHOLDS='{"ops":{"read":{"latency":["p(95)<50"]}}}'`), so laptop,
+ * docker-compose and CI runs can use different budgets without editing the library.
+ *
+ * Config shape (every rule is a k6 threshold string or `{ threshold, abortOnFail, delayAbortEval }`):
+ *   global    metric → rules, e.g. http_req_duration, http_req_failed, checks
+ *   ops       op (or "*") → { latency: rules, errors: rules }
+ *   entities  entity → op (or "*") → { latency: rules, errors: rules }
+ *   metrics   metric → rules, applied last (e.g. USERS_cache_hit_ratio)
+ * Per entity/op the most specific `latency`/`errors` entry wins: entities[e][op], entities[e]["*"], ops[op], ops["*"].
+ * Rules replace the defaults they override; `metrics` rules must target metrics this run declares.
+ * Examples: k6/thresholds/laptop.json and k6/thresholds/ci.json.
+ * Must be imported in the init context, `open()` is not available afterwards.
+ */
+
+import { ENV } from './env.js';
+
+/**
+ * Budgets used when nothing is configured.
+ * @constant
+ */
+const DEFAULT_THRESHOLDS = {
+    global: {
+        http_req_duration: ['p(95)<250'] // Baseline rule for all HTTP requests
+    },
+    ops: {
+        list: { latency: ['avg<150'] },
+        read: { latency: ['avg<100'] },
+        readByKey: { latency: ['avg<100'] },
+        create: { latency: ['avg<150'] },
+        update: { latency: ['avg<200'] },
+        delete: { latency: ['avg<150'] },
+        '*': { latency: ['avg<200'] }
+    },
+    entities: {},
+    metrics: {}
+};
+
+/**
+ * Returns true for plain objects (not arrays or null).
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges override into base: objects merge key by key, arrays and scalars replace.
+ *
+ * @param {object} base
+ * @param {object} override
+ * @returns {object}
+ */
+function merge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        result[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return result;
+}
+
+/**
+ * Builds the effective configuration from defaults, THRESHOLDS_FILE and THRESHOLDS.
+ *
+ * @returns {typeof DEFAULT_THRESHOLDS}
+ * @throws {Error} When a configured source is not valid JSON
+ */
+function loadConfig() {
+    let config = DEFAULT_THRESHOLDS;
+
+    if (ENV.THRESHOLDS_FILE) {
+        try {
+            config = merge(config, JSON.parse(open(ENV.THRESHOLDS_FILE)));
+        } catch (e) {
+            throw new Error(`Invalid THRESHOLDS_FILE ${ENV.THRESHOLDS_FILE} (must be JSON, read relative to k6/lib): ${e.message || e}`);
+        }
+    }
+
+    if (ENV.THRESHOLDS) {
+        try {
+            config = merge(config, JSON.parse(ENV.THRESHOLDS));
+        } catch (e) {
+            throw new Error(`Invalid THRESHOLDS JSON: ${e.message || e}`);
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Effective threshold configuration, resolved once in the init context.
+ * @constant
+ */
+export const THRESHOLD_CONFIG = loadConfig();
+
+/**
+ * Rules of an entity/op for one kind of metric, from the most specific config entry that sets it.
+ *
+ * @param {string} entity
+ * @param {string} op
+ * @param {'latency'|'errors'} kind
+ * @returns {(string|object)[]} Empty when nothing is configured
+ */
+export function opRules(entity, op, kind) {
+    const { entities = {}, ops = {} } = THRESHOLD_CONFIG;
+    const candidates = [entities[entity]?.[op], entities[entity]?.['*'], ops[op], ops['*']];
+    const match = candidates.find(entry => Array.isArray(entry?.[kind]));
+    return match ? match[kind] : [];
+}
@@ -0,0 +1,82 @@
+/**
+ * @file lib/tracing.js
+ * @description Request correlation. Every request gets a fresh X-Request-Id and a W3C `traceparent`
+ * header. The server adopts the X-Request-Id (src/Core/Events/RequestHandler.php), echoes it on the
+ * response and writes it in its request log line, so a slow or failed client sample (logged with both
+ * ids, see logResponse()) can be matched with the server-side entry; traceparent is only for proxies
+ * or tracers in front of the service. CRUD requests are also tagged with a URL template `name`
+ * (e.g. /users/{id}) and their entity/op, which keeps one metric series per route instead of per id.
+ */
+
+/**
+ * Header carrying the correlation id.
+ * @constant
+ */
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Random lower-case hex string.
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+function randomHex(bytes) {
+    const buffer = new Uint8Array(bytes);
+    crypto.getRandomValues(buffer);
+    return [...buffer].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Fresh correlation headers: a sampled traceparent (version 00, new trace and span) and a request id
+ * that is the same trace id in UUID form, so either one finds the server log entry.
+ *
+ * @returns {Record<string, string>}
+ */
+export function traceHeaders() {
+    const traceId = randomHex(16);
+    return {
+        [REQUEST_ID_HEADER]: `${traceId.slice(0, 8)}-${traceId.slice(8, 12)}-${traceId.slice(12, 16)}-${traceId.slice(16, 20)}-${traceId.slice(20)}`,
+        traceparent: `00-${traceId}-${randomHex(8)}-01`
+    };
+}
+
+/**
+ * Adds fresh correlation headers to request params; call it per request, retries included.
+ *
+ * @param {object} [params] - k6 request params
+ * @returns {object}
+ */
+export function traced(params = {}) {
+    return { ...params, headers: { ...params.headers, ...traceHeaders() } };
+}
+
+/**
+ * Params of a CRUD request: correlation headers plus the `name`, `entity` and `op` tags.
+ * Tags already present in params win, e.g. a more specific name.
+ *
+ * @param {string} entity
+ * @param {string} op
+ * @param {string} name - URL template, see routeName() in lib/openapi.js
+ * @param {object} [params] - k6 request params
+ * @returns {object}
+ */
+export function opParams(entity, op, name, params = {}) {
+    return traced({ ...params, tags: { name, entity, op, ...params.tags } });
+}
+
+/**
+ * Correlation ids of the request behind a response.
+ *
+ * @param {import('k6/http').Response} res
+ * @returns {{ request_id?: string, trace_id?: string }}
+ */
+export function correlationOf(res) {
+    const headers = res?.request?.headers || {};
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const requestId = first(headers[REQUEST_ID_HEADER]);
+    const traceparent = first(headers.Traceparent ?? headers.traceparent);
+    return {
+        request_id: requestId || undefined,
+        trace_id: traceparent ? traceparent.split('-')[1] : undefined
+    };
+}
@@ -5,6 +5,17 @@
 
 import http from 'k6/http';
 import { check } from 'k6';
+import { logResponse } from './logger.js';
+import { traced } from './tracing.js';
+
+// Ops served through the table/Redis caches (see CacheService).
+export const CACHEABLE_OPS = ['list', 'read', 'readByKey'];
+
+// Response classes counted per entity/op; timeout/connection are requests without an HTTP status.
+export const STATUS_CLASSES = ['2xx', '3xx', '4xx', '5xx', 'timeout', 'connection'];
+
+// k6 error codes of requests that timed out (request timeout, TCP dial timeout).
+const TIMEOUT_ERROR_CODES = [1050, 1211];
 
 /**
  * Securely generate a uniform random integer between min (inclusive) and max (exclusive).
@@ -92,6 +103,40 @@ export function generateUuid() {
     ].join('-');
 }
 
+// Marker of this test run embedded in generated unique values (see markUnique() and lib/cleanup.js).
+let runMarker = '';
+
+/**
+ * Creates a run marker: a short alphanumeric token that is safe inside emails and SKUs.
+ *
+ * @returns {string}
+ */
+export function createRunMarker() {
+    return `k6run${generateUuid().replace(/-/g, '').slice(0, 10)}`;
+}
+
+/**
+ * Sets the run marker of this VU. Module state is per VU, so setup() sets the marker it creates and
+ * every iteration sets the one setup() returned before generating payloads.
+ *
+ * @param {string} [marker] - Empty or missing to generate unmarked values
+ * @returns {void}
+ */
+export function setRunMarker(marker) {
+    runMarker = marker || '';
+}
+
+/**
+ * Appends the run marker to the prefix of a unique value, so teardown can tell the rows of this run
+ * from rows of other clients sharing the tables.
+ *
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function markUnique(prefix) {
+    return runMarker ? `${prefix}-${runMarker}` : prefix;
+}
+
 /**
  * Generate a random user object.
  *
@@ -100,7 +145,7 @@ export function generateUuid() {
  */
 export function generateUser(index) {
     const id = generateUuid();
-    return { name: `User ${index}`, email: `user-${index}-${id}@example.com` };
+    return { name: `User ${index}`, email: `${markUnique('user')}-${index}-${id}@example.com` };
 }
 
 /**
@@ -112,7 +157,7 @@ export function generateUser(index) {
 export function generateItem(index) {
     const id = generateUuid();
     return {
-        sku: `SKU-${id}`,
+        sku: `${markUnique('SKU')}-${id}`,
         title: `Item ${index}`,
         price: secureRandomFloat(1, 100, 2)
     };
@@ -200,45 +245,119 @@ function isEncodableObject(value) {
 }
 
 /**
- * Helper: Records duration metrics and performs success check.
+ * Reads the cache layer that served a response from the `X-Cache-Type` header.
+ * @param {import('k6/http').Response} res
+ * @returns {'table'|'redis'|'miss'}
+ */
+export function cacheOutcome(res) {
+    const header = res.headers?.['X-Cache-Type'];
+    return header ? String(header).toLowerCase() : 'miss';
+}
+
+/**
+ * Classifies a response: its status class, or timeout/connection when no response was received
+ * (see https://grafana.com/docs/k6/latest/javascript-api/error-codes/).
+ * @param {import('k6/http').Response} res
+ * @returns {string} One of STATUS_CLASSES
+ */
+export function statusClass(res) {
+    if (res.status >= 200 && res.status < 600) return `${Math.floor(res.status / 100)}xx`;
+    if (TIMEOUT_ERROR_CODES.includes(res.error_code)) return 'timeout';
+    return 'connection';
+}
+
+/**
+ * Helper: Records duration metrics and performs success check; failures are logged via lib/logger.js.
+ * Successful read/list samples are tagged with their cache outcome and, when given,
+ * recorded in the cache hit/miss Trends and hit-ratio Rate.
  * @param {import('k6/http').Response} res
  * @param {string} entity
  * @param {string} op
  * @param {import('k6/metrics').Trend} trend
  * @param {(number|number[])[]} expected
+ * @param {{ hit: import('k6/metrics').Trend, miss: import('k6/metrics').Trend, hitRatio: import('k6/metrics').Rate }|null} [cache]
+ * @returns {boolean} Whether the status was expected
  */
-export function recordTrendAndCheck(res, entity, op, trend, expected) {
+export function recordTrendAndCheck(res, entity, op, trend, expected, cache = null) {
+    const cacheable = res.status === 200 && CACHEABLE_OPS.includes(op);
+    const outcome = cacheable ? cacheOutcome(res) : null;
+
     if (trend)  {
-        trend.add(res.timings.duration);
+        trend.add(res.timings.duration, outcome ? { cache: outcome } : undefined);
     }
-    const expectedStatuses = Array.isArray(expected) ? expected.flat() : [expected];
-    console.log("expectedStatuses", expectedStatuses);
-    console.log("res.status", res.status);
-    if(expectedStatuses.includes(res.status)) {
-        console.log("Passed expectedStatuses", expectedStatuses);
-        console.log("Passed r.status", res.status);
-    } else {
-        console.log("Failed expectedStatuses", expectedStatuses);
-        console.log("Failed r.status", res.status);
+    if (cache && outcome) {
+        const hit = outcome !== 'miss';
+        (hit ? cache.hit : cache.miss).add(res.timings.duration, { cache: outcome });
+        cache.hitRatio.add(hit, { op });
     }
+    const expectedStatuses = Array.isArray(expected) ? expected.flat() : [expected];
+    const passed = expectedStatuses.includes(res.status);
+    const expectedLabel = expectedStatuses.length > 5
+        ? `${Math.min(...expectedStatuses)}-${Math.max(...expectedStatuses)}`
+        : expectedStatuses.join(',');
+    logResponse(res, passed, { entity, op, expected: passed ? undefined : expectedLabel });
     check(res, {
-        [`${toUpperSnake(entity)} ${op.toUpperCase()} success`]: r =>
-            expectedStatuses.includes(r.status),
+        [`${toUpperSnake(entity)} ${op.toUpperCase()} success`]: () => passed,
     });
+    return passed;
+}
+
+/**
+ * Parses a JSON response body, returning null when it is malformed.
+ *
+ * @param {import('k6/http').Response} res
+ * @returns {any}
+ */
+export function parseBody(res) {
+    try {
+        return JSON.parse(res.body);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Names of the sent fields a read record does not reflect. Numbers compare by value, since DECIMAL
+ * columns come back as strings (e.g. 9.5 vs "9.50").
+ *
+ * @param {object|null} record
+ * @param {object} body - Payload that was sent
+ * @returns {string[]}
+ */
+export function mismatchedFields(record, body) {
+    if (!record) return Object.keys(body || {});
+    return Object.entries(body || {}).filter(([key, value]) => {
+        const actual = record[key];
+        if (String(actual) === String(value)) return false;
+        return !(typeof value === 'number' && Number(actual) === value);
+    }).map(([key]) => key);
+}
+
+/**
+ * Returns true when the record reflects every sent field (see mismatchedFields()).
+ *
+ * @param {object|null} record
+ * @param {object} body
+ * @returns {boolean}
+ */
+export function reflects(record, body) {
+    return record !== null && record !== undefined && mismatchedFields(record, body).length === 0;
 }
 
 /**
  * Perform a POST to create an entity.
  *
+ * @param {string} entity - Entity name, used for the tags and the status checks
  * @param {string} url - Endpoint URL
  * @param {object} obj - Payload
  * @param {import('k6/metrics').Trend} trend - Trend to record latency
- * @returns {string|null} Created entity ID
+ * @returns {string|null} Created entity ID, null unless the response is a 201 with an id
  */
 export function postEntity(entity, url, obj, trend) {
-    const res = http.post(url, JSON.stringify(obj), {
+    const res = http.post(url, JSON.stringify(obj), traced({
         headers: { 'Content-Type': 'application/json' },
-    });
+        tags: { entity, op: 'create' }
+    }));
     recordTrendAndCheck(res, entity, "create", trend, [200, 201, 202]);
 
     if (res.status === 201) {
@@ -249,17 +368,19 @@ export function postEntity(entity, url, obj, trend) {
             // ignore malformed response
         }
     }
+    return null;
 }
 
 /**
  * Perform a GET to list entities.
  *
+ * @param {string} entity - Entity name, used for the tags and the status checks
  * @param {string} url - Endpoint URL
  * @param {import('k6/metrics').Trend} trend - Trend to record latency
- * @returns {string|null} Created entity ID
+ * @returns {object|null} Parsed list response (e.g. `{ data: [...] }`), null when the body is not JSON
  */
 export function getEntities(entity, url, trend) {
-    const res = http.get(url);
+    const res = http.get(url, traced({ tags: { entity, op: 'list' } }));
     recordTrendAndCheck(res, entity, "list", trend, 200);
 
     try {
@@ -272,12 +393,13 @@ export function getEntities(entity, url, trend) {
 /**
  * Perform a GET to read entity.
  *
+ * @param {string} entity - Entity name, used for the tags and the status checks
  * @param {string} url - Endpoint URL
  * @param {import('k6/metrics').Trend} trend - Trend to record latency
- * @returns {string|null} Created entity ID
+ * @returns {string|null} ID of the read entity, null when missing or the body is not JSON
  */
 export function getEntity(entity, url, trend) {
-    const res = http.get(`${url}`);
+    const res = http.get(`${url}`, traced({ tags: { entity, op: 'read' } }));
     recordTrendAndCheck(res, entity, "read", trend, 200);
 
     try {
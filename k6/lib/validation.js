@@ -0,0 +1,141 @@
+/**
+ * @file lib/validation.js
+ * @description Optional response body validation against the response schemas in the OpenAPI document.
+ * Enabled with `-e VALIDATE_RESPONSES=true`; each validated response adds a check and a sample
+ * to the entity/op contract failure Rate declared in lib/metrics.js.
+ */
+
+import { check } from 'k6';
+import { ENV } from './env.js';
+import { requestLogger } from './logger.js';
+import { CONTRACT_REGISTRY } from './metrics.js';
+import { ENTITY_SPECS, resolveSchema } from './openapi.js';
+import { toUpperSnake } from './utils.js';
+
+/**
+ * Returns true when the value matches the schema's primitive type.
+ *
+ * @param {any} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'string':
+            return typeof value === 'string';
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Validates a value against a small OpenAPI schema subset: type, nullable, enum,
+ * properties, required and items. Without an explicit `required` list every
+ * declared property is expected, so a dropped field is reported.
+ *
+ * @param {any} value - Parsed JSON value
+ * @param {object} schema - OpenAPI schema
+ * @param {string} [path='$'] - JSON path used in messages
+ * @returns {string[]} Error messages, empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+    const resolved = resolveSchema(schema);
+    if (!resolved) return [];
+
+    if (value === null) {
+        return resolved.nullable ? [] : [`${path} is null`];
+    }
+
+    const type = resolved.type || (resolved.properties ? 'object' : undefined);
+    if (type && !matchesType(value, type)) {
+        return [`${path} expected ${type}, got ${Array.isArray(value) ? 'array' : typeof value}`];
+    }
+
+    if (Array.isArray(resolved.enum) && !resolved.enum.includes(value)) {
+        return [`${path} not in enum ${resolved.enum.join('|')}`];
+    }
+
+    const errors = [];
+
+    if (type === 'array' && resolved.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, resolved.items, `${path}[${i}]`)));
+    }
+
+    if (type === 'object' && resolved.properties) {
+        const required = resolved.required || Object.keys(resolved.properties);
+        for (const name of required) {
+            if (!(name in value)) errors.push(`${path}.${name} is missing`);
+        }
+        for (const [name, prop] of Object.entries(resolved.properties)) {
+            if (name in value) errors.push(...validateSchema(value[name], prop, `${path}.${name}`));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Picks the schema a response with the given status must match.
+ * Creates/updates answered synchronously fall back to the read schema when the
+ * document declares none (e.g. POST /users 201).
+ *
+ * @param {string} entity
+ * @param {string} op
+ * @param {number} status
+ * @returns {object|null}
+ */
+function responseSchemaFor(entity, op, status) {
+    const spec = ENTITY_SPECS[entity];
+    const response = spec?.responses?.[op];
+
+    if (response?.schema && response.status === status) return response.schema;
+    if (op === 'readByKey') return spec?.responses?.read?.schema || null;
+    if ((op === 'create' || op === 'update') && status !== 202 && status !== 204) {
+        return spec?.responses?.read?.schema || null;
+    }
+    return null;
+}
+
+/**
+ * Validates a successful response body against the OpenAPI response schema of entity/op.
+ * No-op unless VALIDATE_RESPONSES is enabled, the status is 2xx and a schema is known.
+ *
+ * @param {import('k6/http').Response} res
+ * @param {string} entity
+ * @param {string} op
+ * @returns {boolean} False only when validation ran and failed
+ */
+export function validateResponse(res, entity, op) {
+    if (!ENV.VALIDATE_RESPONSES || res.status < 200 || res.status >= 300) return true;
+
+    const schema = responseSchemaFor(entity, op, res.status);
+    if (!schema) return true;
+
+    let errors;
+    try {
+        errors = validateSchema(JSON.parse(res.body), schema);
+    } catch {
+        errors = ['body is not valid JSON'];
+    }
+
+    const valid = errors.length === 0;
+    CONTRACT_REGISTRY[entity]?.[op]?.add(!valid);
+    check(res, {
+        [`${toUpperSnake(entity)} ${op.toUpperCase()} response matches schema`]: () => valid,
+    });
+
+    if (!valid) {
+        requestLogger.warn(`${entity} ${op} contract violation: ${errors.slice(0, 3).join('; ')}`);
+    }
+    return valid;
+}
@@ -0,0 +1,130 @@
+/**
+ * @file lib/websocket.js
+ * @description WebSocket session against App\Core\Servers\WebSocketServer (public/websocket-server.php).
+ * The server greets every connection with {"hello":"ws"} and echoes each message upper-cased, so a
+ * lower-case token per message identifies its reply and gives the round trip.
+ *
+ * Metrics go through the shared registries under the `ws` entity (see registerOps()):
+ *   connect  WS_CONNECT_latency_ms (handshake until open), WS_CONNECT_errors, WS_CONNECT_<class>
+ *   message  WS_MESSAGE_latency_ms (round trip), WS_MESSAGE_errors (no reply within WS_MESSAGE_TIMEOUT)
+ * plus ws_unexpected_disconnects for sessions the server or network closed early.
+ */
+
+import ws from 'k6/ws';
+import exec from 'k6/execution';
+import { check } from 'k6';
+import { Rate } from 'k6/metrics';
+import { ENV } from './env.js';
+import { logger } from './logger.js';
+import { ERROR_REGISTRY, METRICS_REGISTRY, MIX_REGISTRY, registerOps } from './metrics.js';
+import { statusClass } from './utils.js';
+
+/**
+ * Entity name of the WebSocket metrics.
+ * @constant
+ */
+export const WS_ENTITY = 'ws';
+
+registerOps(WS_ENTITY, ['connect', 'message']);
+
+// Sessions that ended without the client closing them.
+const disconnects = new Rate('ws_unexpected_disconnects');
+
+// Greeting pushed by the server on open.
+const GREETING = JSON.stringify({ hello: 'ws' });
+
+/**
+ * Records the outcome of one op in the shared registries.
+ *
+ * @param {string} op - connect or message
+ * @param {number|null} ms - Latency, null when the op failed
+ * @param {string|null} failure - Status class of the failure, null on success
+ * @returns {void}
+ */
+function record(op, ms, failure) {
+    const tags = { entity: WS_ENTITY, op };
+    MIX_REGISTRY[WS_ENTITY][op].add(1, tags);
+    ERROR_REGISTRY[WS_ENTITY][op].errors.add(failure !== null, tags);
+    if (failure !== null) {
+        ERROR_REGISTRY[WS_ENTITY][op].classes[failure].add(1, tags);
+    } else {
+        METRICS_REGISTRY[WS_ENTITY][op].add(ms, tags);
+    }
+}
+
+/**
+ * Runs one session: connects, sends WS_MESSAGE_RATE messages per second for WS_SESSION seconds,
+ * waits up to WS_MESSAGE_TIMEOUT for outstanding replies and closes.
+ *
+ * @returns {void}
+ */
+export function runWsSession() {
+    const pending = new Map();
+    const params = { tags: { name: 'ws-session' } };
+    const startedAt = Date.now();
+    let opened = false;
+    let closing = false;
+    let greeted = false;
+    let seq = 0;
+
+    const res = ws.connect(ENV.WS_URL, params, socket => {
+        socket.on('open', () => {
+            opened = true;
+            record('connect', Date.now() - startedAt, null);
+
+            socket.setInterval(() => {
+                if (closing) return;
+                const token = `ping-${exec.vu.idInTest}-${++seq}`;
+                pending.set(token.toUpperCase(), Date.now());
+                socket.send(token);
+            }, 1000 / ENV.WS_MESSAGE_RATE);
+
+            // Expire replies that did not arrive in time
+            socket.setInterval(() => {
+                const now = Date.now();
+                for (const [token, sentAt] of pending) {
+                    if (now - sentAt < ENV.WS_MESSAGE_TIMEOUT * 1000) continue;
+                    pending.delete(token);
+                    record('message', null, 'timeout');
+                }
+                if (closing && !pending.size) socket.close();
+            }, 100);
+
+            socket.setTimeout(() => {
+                closing = true;
+            }, ENV.WS_SESSION * 1000);
+        });
+
+        socket.on('message', data => {
+            if (data === GREETING) {
+                greeted = true;
+                return;
+            }
+
+            const sentAt = pending.get(data);
+            if (sentAt === undefined) {
+                logger.debug('Unexpected WebSocket message', { data: String(data).slice(0, ENV.LOG_BODY_MAX) });
+                return;
+            }
+            pending.delete(data);
+            record('message', Date.now() - sentAt, null);
+        });
+
+        socket.on('error', e => {
+            logger.warn('WebSocket error', { url: ENV.WS_URL, error: e.error ? e.error() : String(e) });
+        });
+
+        socket.on('close', () => {
+            if (opened) disconnects.add(!closing, { entity: WS_ENTITY });
+            pending.forEach(() => record('message', null, 'connection'));
+            pending.clear();
+        });
+    });
+
+    if (!opened) record('connect', null, statusClass(res || { status: 0 }));
+
+    check(res, {
+        'ws: handshake 101': r => !!r && r.status === 101,
+        'ws: greeted on open': () => !opened || greeted
+    });
+}
@@ -0,0 +1,63 @@
+/**
+ * @file tests/concurrency_test.js
+ * @description Concurrency conflict and uniqueness race test (see lib/races.js): RACE_VUS VUs update
+ * the same hot row at once, then create the same email/sku at once, for RACE_ROUNDS rounds each.
+ * Fails on any 5xx, on a hot row that matches none of the writes or is still found by a superseded
+ * key (stale cache), and on a contested create with more or less than one winner.
+ */
+
+import { ENV, printUsage } from '../lib/env.js';
+import { collectRunIds, deleteAll, printCleanupReport } from '../lib/cleanup.js';
+import { createRunMarker, setRunMarker } from '../lib/utils.js';
+import { raceEntities, raceScenarios, raceSetup, raceThresholds, raceVerify } from '../lib/races.js';
+import { buildSummary } from '../lib/summary.js';
+
+// Race scenario functions
+export { createRace, updateRace } from '../lib/races.js';
+
+export const options = {
+    scenarios: raceScenarios(),
+    thresholds: raceThresholds()
+};
+
+/**
+ * Creates the hot rows and the race payloads, all carrying the run marker used by cleanup.
+ *
+ * @returns {ReturnType<typeof raceSetup> & { entities: string[], runMarker: string }}
+ */
+export function setup() {
+    printUsage();
+    const runMarker = createRunMarker();
+    setRunMarker(runMarker);
+    const entities = [...new Set([...raceEntities('update'), ...raceEntities('create')])];
+    return { ...raceSetup(), entities, runMarker };
+}
+
+/**
+ * Verifies the final state of every round, then deletes the hot rows and the winning creates
+ * unless KEEP_DATA=true.
+ *
+ * @param {ReturnType<typeof setup>} data
+ */
+export function teardown(data) {
+    raceVerify(data);
+
+    if (ENV.KEEP_DATA) {
+        console.log('🧹 KEEP_DATA=true: skipping cleanup');
+    } else {
+        const reports = data.entities.map(entity =>
+            deleteAll(entity, collectRunIds(entity, data.runMarker, (data.updates[entity] || []).map(row => row.id)))
+        );
+        printCleanupReport(reports);
+    }
+}
+
+/**
+ * End-of-test summary (see buildSummary()): race metrics, checks, error breakdown and the enabled file reports.
+ *
+ * @param {object} data - End-of-test summary data
+ * @returns {Record<string, string>}
+ */
+export function handleSummary(data) {
+    return buildSummary(data, { mix: false });
+}
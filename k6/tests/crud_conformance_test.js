@@ -0,0 +1,250 @@
+/**
+ * @file tests/crud_conformance_test.js
+ * @description Functional CRUD conformance pass, not a load test: one VU walks every entity through
+ * create → read → lookup by unique key → update → read → list → delete → read (404) → delete again,
+ * plus /health. Async (202) entities are polled until each write is visible (see lib/async.js).
+ * Run it as a smoke gate before the load profiles; any failed check fails the run.
+ */
+
+import http from 'k6/http';
+import { check, group } from 'k6';
+import { ENV, printUsage } from '../lib/env.js';
+import { logger } from '../lib/logger.js';
+import { generateUuid, mismatchedFields, parseBody } from '../lib/utils.js';
+import { isAsyncOp, trackAsync } from '../lib/async.js';
+import { collectionUrl, keyValuesOf, lookupUrl, routeName } from '../lib/openapi.js';
+import { payloadGenerator } from '../lib/payloads.js';
+import { buildSummary } from '../lib/summary.js';
+import { opParams, traced } from '../lib/tracing.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+export const options = {
+    scenarios: {
+        conformance: {
+            executor: 'per-vu-iterations',
+            vus: 1,
+            iterations: 1,
+            maxDuration: ENV.MAX_DURATION
+        }
+    },
+    thresholds: {
+        checks: ['rate==1']
+    }
+};
+
+export function setup() {
+    printUsage();
+}
+
+/**
+ * Reads an entity and checks that it reflects the payload.
+ *
+ * @param {string} entity
+ * @param {string|number} id
+ * @param {object} body
+ * @returns {void}
+ */
+function readAndCompare(entity, id, body) {
+    const res = http.get(`${collectionUrl(entity)}/${id}`, opParams(entity, 'read', routeName(entity, '/{id}')));
+    const mismatched = res.status === 200 ? mismatchedFields(parseBody(res), body) : [];
+    if (mismatched.length) logger.warn(`${entity} ${id} does not reflect the payload`, { fields: mismatched.join(',') });
+
+    check(res, {
+        'read: status 200': r => r.status === 200,
+        'read: fields match payload': r => r.status === 200 && mismatched.length === 0
+    });
+}
+
+/**
+ * Creates an entity, synchronously (201 with the record) or asynchronously (202, then polled by unique key).
+ *
+ * @param {string} entity
+ * @param {object} body
+ * @returns {string|number|null} Id of the created entity
+ */
+function create(entity, body) {
+    const isAsync = isAsyncOp(entity, 'create');
+    const res = http.post(collectionUrl(entity), JSON.stringify(body), opParams(entity, 'create', routeName(entity), { headers: JSON_HEADERS }));
+    const id = isAsync ? (res.status === 202 ? trackAsync(entity, 'create', { body }).id : null) : parseBody(res)?.id ?? null;
+
+    check(res, {
+        [`create: status ${isAsync ? 202 : 201}`]: r => r.status === (isAsync ? 202 : 201),
+        'create: id returned or visible': () => id !== null
+    });
+    return id;
+}
+
+/**
+ * Looks the entity up by each of its unique keys (email, sku...).
+ *
+ * @param {string} entity
+ * @param {string|number} id
+ * @param {object} body
+ * @returns {void}
+ */
+function lookup(entity, id, body) {
+    const values = keyValuesOf(entity, body);
+    if (!values) {
+        logger.info(`${entity} has no lookup route, skipping lookup`);
+        return;
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+        const res = http.get(lookupUrl(entity, key, value), opParams(entity, 'readByKey', routeName(entity, `/${key}/{${key}}`)));
+        check(res, {
+            [`lookup by ${key}: status 200`]: r => r.status === 200,
+            [`lookup by ${key}: same id`]: r => String(parseBody(r)?.id) === String(id)
+        });
+    }
+}
+
+/**
+ * Updates the entity and, for async entities, waits until the update is visible.
+ *
+ * @param {string} entity
+ * @param {string|number} id
+ * @param {object} body
+ * @returns {void}
+ */
+function update(entity, id, body) {
+    const isAsync = isAsyncOp(entity, 'update');
+    const res = http.put(`${collectionUrl(entity)}/${id}`, JSON.stringify(body), opParams(entity, 'update', routeName(entity, '/{id}'), { headers: JSON_HEADERS }));
+
+    check(res, { [`update: status ${isAsync ? 202 : 200}`]: r => r.status === (isAsync ? 202 : 200) });
+    if (isAsync && res.status === 202) {
+        check(trackAsync(entity, 'update', { id, body }), { 'update: visible': job => job.completed });
+    }
+}
+
+/**
+ * Checks that the newest page of the collection contains the id.
+ *
+ * @param {string} entity
+ * @param {string|number} id
+ * @returns {void}
+ */
+function listContains(entity, id) {
+    const res = http.get(
+        `${collectionUrl(entity)}?page=1&limit=100&sortBy=id&sortDirection=DESC`,
+        opParams(entity, 'list', routeName(entity), { tags: { query_shape: 'page|limit:100|sort:id:DESC' } })
+    );
+    const records = parseBody(res)?.data;
+
+    check(res, {
+        'list: status 200': r => r.status === 200,
+        'list: contains entity': () => Array.isArray(records) && records.some(rec => String(rec?.id) === String(id))
+    });
+}
+
+/**
+ * Deletes the entity and checks that the status is one of the expected ones.
+ *
+ * @param {string} entity
+ * @param {string|number} id
+ * @param {number[]} expected - Accepted statuses
+ * @param {string} label - Check prefix
+ * @returns {import('k6/http').Response}
+ */
+function remove(entity, id, expected, label) {
+    const res = http.del(`${collectionUrl(entity)}/${id}`, null, opParams(entity, 'delete', routeName(entity, '/{id}')));
+    check(res, { [`${label}: status ${expected.join('/')}`]: r => expected.includes(r.status) });
+    return res;
+}
+
+/**
+ * Runs the full conformance sequence for one entity.
+ *
+ * @param {string} entity
+ * @param {(index: number|string) => object} generateFn
+ * @returns {void}
+ */
+function conformance(entity, generateFn) {
+    const body = generateFn(`conformance-${generateUuid().slice(0, 8)}`);
+    let id = null;
+    let deleted = false;
+
+    group('create', () => {
+        id = create(entity, body);
+    });
+    if (id === null) {
+        logger.error(`${entity}: create failed, skipping the rest of the sequence`);
+        return;
+    }
+
+    try {
+        group('read', () => readAndCompare(entity, id, body));
+        group('lookup', () => lookup(entity, id, body));
+
+        const changed = generateFn(`conformance-${generateUuid().slice(0, 8)}`);
+        group('update', () => update(entity, id, changed));
+        group('read after update', () => readAndCompare(entity, id, changed));
+        group('list', () => listContains(entity, id));
+
+        group('delete', () => {
+            const isAsync = isAsyncOp(entity, 'delete');
+            const res = remove(entity, id, isAsync ? [202] : [200, 204], 'delete');
+            deleted = [200, 202, 204].includes(res.status);
+            if (isAsync && res.status === 202) {
+                check(trackAsync(entity, 'delete', { id }), { 'delete: visible': job => job.completed });
+            }
+        });
+        group('read after delete', () => {
+            const res = http.get(`${collectionUrl(entity)}/${id}`, opParams(entity, 'read', routeName(entity, '/{id}')));
+            check(res, { 'read: status 404': r => r.status === 404 });
+        });
+        group('delete again', () => {
+            remove(entity, id, isAsyncOp(entity, 'delete') ? [202, 404] : [404], 'delete again');
+        });
+    } finally {
+        // Do not leave the row behind when the sequence stopped before deleting it
+        if (!deleted) http.del(`${collectionUrl(entity)}/${id}`, null, opParams(entity, 'delete', routeName(entity, '/{id}')));
+    }
+}
+
+/**
+ * Checks /health (JSON) and /health.html.
+ *
+ * @returns {void}
+ */
+function health() {
+    const res = http.get(`${ENV.BASE_URL}/health`, traced({ tags: { name: '/health' } }));
+    const body = parseBody(res);
+    check(res, {
+        'health: status 200': r => r.status === 200,
+        'health: ok is true': () => body?.ok === true,
+        'health: workers reported': () => Number(body?.workers_count) > 0
+    });
+
+    const html = http.get(`${ENV.BASE_URL}/health.html`, traced({ tags: { name: '/health.html' } }));
+    check(html, {
+        'health.html: status 200': r => r.status === 200,
+        'health.html: is html': r => String(r.headers['Content-Type'] || '').includes('text/html')
+    });
+}
+
+/**
+ * One pass over /health and every configured entity.
+ */
+export default function () {
+    group('health', health);
+
+    for (const entity of ENV.ENTITIES) {
+        const generateFn = payloadGenerator(entity);
+        if (!generateFn) {
+            logger.error(`generators not found for ${entity}`);
+            continue;
+        }
+        group(entity, () => conformance(entity, generateFn));
+    }
+}
+
+/**
+ * End-of-test summary (see buildSummary()): checks per group, error breakdown and the enabled file reports.
+ *
+ * @param {object} data - End-of-test summary data
+ * @returns {Record<string, string>}
+ */
+export function handleSummary(data) {
+    return buildSummary(data, { mix: false });
+}
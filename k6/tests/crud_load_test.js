@@ -1,48 +1,64 @@
 /**
- * @file tests/crud_main_test.js
+ * @file tests/crud_load_test.js
  * @description Master entrypoint for dynamic, environment-driven K6 load testing.
  * Supports multiple entities, CRUD control, thresholds, and teardown.
  */
 
-import http from 'k6/http';
 import { sleep } from 'k6';
 import { ENV, printUsage } from '../lib/env.js';
-import { generateUser, generateItem, postEntity, slicePercent, secureRandomFloat } from '../lib/utils.js';
+import { logger } from '../lib/logger.js';
+import { createRunMarker, setRunMarker, slicePercent, secureRandomFloat } from '../lib/utils.js';
 import { METRICS_REGISTRY, buildThresholds } from '../lib/metrics.js';
 import { performCrudAction } from '../lib/crud.js';
+import { idPoolFor } from '../lib/idpool.js';
+import { buildScenarios } from '../lib/profiles.js';
+import { keyValuesOf } from '../lib/openapi.js';
+import { payloadGenerator } from '../lib/payloads.js';
+import { buildSummary, SUMMARY_TREND_STATS } from '../lib/summary.js';
+import { assertSeeded, seedEntity, batchOptions } from '../lib/seed.js';
+import { collectRunIds, deleteAll, printCleanupReport } from '../lib/cleanup.js';
+import { serverMetricsEnd, serverMetricsStart, withServerMetricsScenario } from '../lib/servermetrics.js';
+
+// Periodic /metrics scrape scenario (SERVER_METRICS=true)
+export { serverMetricsScenario } from '../lib/servermetrics.js';
 
-let perVuIds = {};
 let execCount = 0;
-const generators = { "async-users": generateUser, users: generateUser, items: generateItem };
 
 /**
  * Setup phase: creates initial entities for each entity type.
- * Runs once before all VUs start.
+ * Runs once before all VUs start. `serverMetrics` holds the first /metrics scrape (SERVER_METRICS=true).
+ * `runMarker` is embedded in every generated email/sku so teardown deletes only this run's rows.
  *
- * @returns {Record<string, { ids: string[], hot: string[], cool: string[] }>}
+ * @returns {Record<string, { ids: string[], hot: string[], cool: string[], keys: Record<string, Record<string, string>> }>}
  */
 export function setup() {
     printUsage();
-    const setupData = {};
+    const runMarker = createRunMarker();
+    setRunMarker(runMarker);
+    const setupData = { serverMetrics: serverMetricsStart(), runMarker };
 
     for (const entity of ENV.ENTITIES) {
-        const generateFn = generators[entity];
+        const generateFn = payloadGenerator(entity);
         if(!generateFn) {
-            console.error("generators not found for " + entity);
+            logger.error(`generators not found for ${entity}`);
             continue;
         }
-        const trend = METRICS_REGISTRY[entity]?.create;
         const ids = [];
+        const keys = {};
 
-        for (let i = 0; i < ENV.TOTAL_ENTITIES; i++) {
-            const id = postEntity(`${ENV.BASE_URL}/${entity}`, generateFn(i), trend);
-            if (id) ids.push(id);
+        const seeded = seedEntity(entity, generateFn);
+        assertSeeded(entity, seeded);
+        for (const { id, body } of seeded.created) {
+            ids.push(id);
+            const values = keyValuesOf(entity, body);
+            if (values) keys[id] = values;
         }
 
         setupData[entity] = {
             ids,
+            keys,
             hot: slicePercent(ids.slice(0, ids.length / 2), ENV.HOT_PERCENT),
-            cool: slicePercent(ids.slice(ids.length / 2), ENV.COOL_PERCENT),
+            cool: slicePercent(ids.slice(ids.length / 2), ENV.COOL_PERCENT)
         };
     }
 
@@ -55,40 +71,39 @@ export function setup() {
 export const options = {
     setupTimeout: ENV.MAX_DURATION,
     teardownTimeout: ENV.MAX_DURATION,
-    stages: [
+    ...batchOptions(),
+    scenarios: withServerMetricsScenario(buildScenarios([
         { duration: '5s', target: Math.floor(ENV.MAX_VUS / 2) },
         { duration: '10s', target: ENV.MAX_VUS },
         { duration: '5s', target: 0 }
-    ],
-    thresholds: buildThresholds()
+    ])),
+    thresholds: buildThresholds(),
+    summaryTrendStats: SUMMARY_TREND_STATS
 };
 
 /**
  * Default execution per VU.
  * Each iteration executes a random CRUD op for all configured entities.
  *
- * @param {Record<string, { ids: string[], hot: string[], cool: string[] }>} data
+ * @param {Record<string, { ids: string[], hot: string[], cool: string[], keys: Record<string, Record<string, string>> }>} data
  */
 export default function (data) {
     if (execCount++ >= ENV.TOTAL_EXECUTIONS) return;
+    setRunMarker(data.runMarker);
 
     for (const entity of ENV.ENTITIES) {
-        if (!perVuIds[entity]) perVuIds[entity] = data[entity].ids.slice();
         const trends = METRICS_REGISTRY[entity];
-        const generateFn = generators[entity];
+        const generateFn = payloadGenerator(entity);
         if(!generateFn) {
-            console.error("generators not found for " + entity);
+            logger.error(`generators not found for ${entity}`);
             continue;
         }
 
         performCrudAction({
-            vuIds: perVuIds[entity],
-            hotIds: data[entity].hot,
-            coolIds: data[entity].cool,
+            ...idPoolFor(entity, data[entity]),
             entity,
             generateFn,
-            trends,
-            allowedOps: ENV.CRUD
+            trends
         });
     }
 
@@ -96,15 +111,34 @@ export default function (data) {
 }
 
 /**
- * Teardown phase: cleans up entities after test completion.
+ * Teardown phase: deletes the rows carrying the run marker (seeded and created by VUs),
+ * verifies the deletes and prints a cleanup report. Skipped with KEEP_DATA=true.
+ * Ends with the final /metrics scrape and the server-side deltas (SERVER_METRICS=true).
  *
- * @param {Record<string, { ids: string[] }>} data
+ * @param {{ runMarker: string } & Record<string, { ids: string[] }>} data
  */
 export function teardown(data) {
-    console.log('🧹 Cleaning up entities...');
-    for (const entity of ENV.ENTITIES) {
-        for (const id of data[entity].ids) {
-            http.del(`${ENV.BASE_URL}/${entity}/${id}`);
+    if (ENV.KEEP_DATA) {
+        console.log('🧹 KEEP_DATA=true: skipping cleanup');
+    } else {
+        console.log('🧹 Cleaning up entities...');
+        const reports = [];
+        for (const entity of ENV.ENTITIES) {
+            if (!data[entity]) continue;
+            reports.push(deleteAll(entity, collectRunIds(entity, data.runMarker, data[entity].ids)));
         }
+        printCleanupReport(reports);
     }
+
+    serverMetricsEnd(data.serverMetrics);
+}
+
+/**
+ * End-of-test summary: k6 text summary plus the realized operation mix.
+ *
+ * @param {object} data
+ * @returns {Record<string, string>}
+ */
+export function handleSummary(data) {
+    return buildSummary(data);
 }
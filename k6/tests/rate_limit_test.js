@@ -0,0 +1,149 @@
+/**
+ * @file tests/rate_limit_test.js
+ * @description RateLimitMiddleware conformance test: a single client is driven past the limit and the
+ * X-RateLimit-* / Retry-After headers and the window reset are checked for consistency.
+ * Run it from an IP that is rate limited: loopback and Docker addresses match RATE_LIMIT_SKIP_IP_PATTERN
+ * by default and are never throttled.
+ */
+
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { ENV, printUsage } from '../lib/env.js';
+import { logger } from '../lib/logger.js';
+import { numericHeader } from '../lib/ratelimit.js';
+import { traced } from '../lib/tracing.js';
+import { fileReports } from '../lib/reporters.js';
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
+
+// Fixed window of RateLimitMiddleware (windowSec).
+const WINDOW_SEC = 60;
+
+// Reset/Retry-After are whole seconds rounded up, so the implied window end may drift by this much.
+const RESET_TOLERANCE_SEC = 1.5;
+
+const params = { tags: { name: 'rate-limit-probe' } };
+
+/**
+ * Reads the rate-limit headers of a response together with the time it was received.
+ *
+ * @param {import('k6/http').Response} res
+ * @returns {{ status: number, at: number, limit: number|null, remaining: number|null, reset: number|null, retryAfter: number|null }}
+ */
+function sample(res) {
+    return {
+        status: res.status,
+        at: Date.now(),
+        limit: numericHeader(res, 'X-Ratelimit-Limit'),
+        remaining: numericHeader(res, 'X-Ratelimit-Remaining'),
+        reset: numericHeader(res, 'X-Ratelimit-Reset'),
+        retryAfter: numericHeader(res, 'Retry-After')
+    };
+}
+
+/**
+ * Epoch ms at which a sample says the window ends.
+ *
+ * @param {{ at: number, reset: number|null }} s
+ * @returns {number}
+ */
+function windowEnd(s) {
+    return s.at + s.reset * 1000;
+}
+
+export const options = {
+    scenarios: {
+        rate_limit: {
+            executor: 'per-vu-iterations',
+            vus: 1,
+            iterations: 1,
+            maxDuration: `${WINDOW_SEC * 3}s`
+        }
+    },
+    thresholds: {
+        checks: ['rate==1']
+    }
+};
+
+export function setup() {
+    printUsage();
+}
+
+/**
+ * Drives one client past the limit, then waits out Retry-After and verifies the window reset.
+ *   - Limit is constant and Remaining decreases by one per request
+ *   - the first 429 arrives once Remaining reached 0, with Remaining 0 and Retry-After == Reset
+ *   - every Reset points at the same window end, within WINDOW_SEC
+ *   - after Retry-After the next request is allowed with a full quota
+ */
+export default function () {
+    const url = `${ENV.BASE_URL}${ENV.RATE_LIMIT_PATH}`;
+    let first = sample(http.get(url, traced(params)));
+
+    // a previous run may still own the window: wait it out to start from a full quota
+    if (first.status === 429 && first.retryAfter !== null) {
+        logger.info(`Window in use, waiting ${first.retryAfter}s`);
+        sleep(first.retryAfter + 1);
+        first = sample(http.get(url, traced(params)));
+    }
+
+    const limited = check(first, {
+        'rate limit headers present': s => s.limit !== null && s.remaining !== null && s.reset !== null
+    });
+    if (!limited) {
+        logger.error(`No X-RateLimit headers on ${url}: client IP skipped (RATE_LIMIT_SKIP_IP_PATTERN) or path excluded`);
+        return;
+    }
+
+    const allowed = [first];
+    let throttled = null;
+    for (let i = 0; i <= first.limit && !throttled; i++) {
+        const s = sample(http.get(url, traced(params)));
+        if (s.status === 429) throttled = s;
+        else allowed.push(s);
+    }
+
+    const last = allowed[allowed.length - 1];
+    check(allowed, {
+        'limit header constant': list => list.every(s => s.limit === first.limit),
+        'remaining decreases by one per request': list =>
+            list.every((s, i) => i === 0 || s.remaining === list[i - 1].remaining - 1),
+        'reset within window': list => list.every(s => s.reset > 0 && s.reset <= WINDOW_SEC),
+        'reset points at one window end': list =>
+            list.every(s => Math.abs(windowEnd(s) - windowEnd(first)) <= RESET_TOLERANCE_SEC * 1000)
+    });
+
+    if (!check(throttled, { '429 reached within limit + 1 requests': s => s !== null })) {
+        logger.error(`No 429 after ${allowed.length} requests (limit ${first.limit})`);
+        return;
+    }
+
+    check(throttled, {
+        '429 only after remaining reached 0': () => last.remaining === 0,
+        '429 remaining is 0': s => s.remaining === 0,
+        '429 limit matches': s => s.limit === first.limit,
+        '429 retry-after within window': s => s.retryAfter > 0 && s.retryAfter <= WINDOW_SEC,
+        '429 retry-after equals reset': s => s.retryAfter === s.reset,
+        '429 retry-after matches window end': s =>
+            Math.abs(s.at + s.retryAfter * 1000 - windowEnd(first)) <= RESET_TOLERANCE_SEC * 1000
+    });
+
+    logger.info(`Throttled after ${allowed.length} requests, waiting Retry-After ${throttled.retryAfter}s`);
+    sleep(Math.min(throttled.retryAfter, WINDOW_SEC) + 1);
+
+    const after = sample(http.get(url, traced(params)));
+    check(after, {
+        'allowed after retry-after': s => s.status !== 429,
+        'quota restored after reset': s => s.remaining === first.limit - 1,
+        'reset restarts full window': s => s.reset !== null && s.reset >= WINDOW_SEC - RESET_TOLERANCE_SEC
+    });
+}
+
+/**
+ * End-of-test summary: k6 text summary (no CRUD mix is executed here) and the enabled file reports.
+ *
+ * @param {object} data - End-of-test summary data
+ * @returns {Record<string, string>}
+ */
+export function handleSummary(data) {
+    return { stdout: textSummary(data, { indent: ' ', enableColors: true }), ...fileReports(data) };
+}
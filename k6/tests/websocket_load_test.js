@@ -0,0 +1,51 @@
+/**
+ * @file tests/websocket_load_test.js
+ * @description WebSocket load test for public/websocket-server.php (WS_PORT, 9502 by default).
+ * Every iteration holds one connection for WS_SESSION seconds and exchanges WS_MESSAGE_RATE
+ * messages per second, so concurrent connections follow the VUs of the selected PROFILE.
+ * Connect time, round trip and error/disconnect rates use the shared registries and thresholds
+ * (entity `ws`, ops `connect` and `message`).
+ */
+
+import { ENV, printUsage } from '../lib/env.js';
+import { buildThresholds } from '../lib/metrics.js';
+import { buildScenarios } from '../lib/profiles.js';
+import { buildSummary, SUMMARY_TREND_STATS } from '../lib/summary.js';
+import { runWsSession, WS_ENTITY } from '../lib/websocket.js';
+
+/**
+ * K6 test configuration.
+ */
+export const options = {
+    scenarios: buildScenarios([
+        { duration: '30s', target: ENV.MAX_VUS },
+        { duration: '1m', target: ENV.MAX_VUS },
+        { duration: '30s', target: 0 }
+    ]),
+    thresholds: {
+        ws_unexpected_disconnects: ['rate<0.01'],
+        ...buildThresholds([WS_ENTITY])
+    },
+    summaryTrendStats: SUMMARY_TREND_STATS
+};
+
+export function setup() {
+    printUsage();
+}
+
+/**
+ * One WebSocket session per iteration.
+ */
+export default function () {
+    runWsSession();
+}
+
+/**
+ * End-of-test summary: k6 text summary (no CRUD mix is executed here), error table, baseline diff and file reports.
+ *
+ * @param {object} data
+ * @returns {Record<string, string>}
+ */
+export function handleSummary(data) {
+    return buildSummary(data, { mix: false });
+}
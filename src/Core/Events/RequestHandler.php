@@ -42,6 +42,11 @@ use Throwable;
  */
 final readonly class RequestHandler
 {
+    /**
+     * Correlation header: adopted from the request when valid, always echoed on the response.
+     */
+    public const REQUEST_ID_HEADER = 'X-Request-Id';
+
     /**
      * @SuppressWarnings("PHPMD.LongVariable")
      */
@@ -59,7 +64,10 @@ final readonly class RequestHandler
         $httpReq = new HttpRequest($request);
         $httpRes = new HttpResponse($response);
 
-        $requestMeta    = new RequestMeta(bin2hex(random_bytes(8)), microtime(true));
+        $requestId = $this->requestId($httpReq);
+        $httpRes->setHeader(self::REQUEST_ID_HEADER, $requestId);
+
+        $requestMeta    = new RequestMeta($requestId, microtime(true));
         $requestContext = new RequestContext(new HttpExchange($httpReq, $httpRes), $requestMeta);
 
         try {
@@ -75,4 +83,18 @@ final readonly class RequestHandler
             $this->container->get(RequestTelemetry::class)->collect($requestContext);
         }
     }
+
+    /**
+     * Adopts the client's X-Request-Id when it is a plain token (up to 128 of [A-Za-z0-9._:-]),
+     * so client and server logs share one id; otherwise generates a random one.
+     */
+    private function requestId(HttpRequest $httpRequest): string
+    {
+        $requestId = $httpRequest->getHeader(self::REQUEST_ID_HEADER);
+        if ($requestId !== null && preg_match('/^[A-Za-z0-9._:-]{1,128}$/', $requestId) === 1) {
+            return $requestId;
+        }
+
+        return bin2hex(random_bytes(8));
+    }
 }
@@ -19,6 +19,7 @@ declare(strict_types=1);
 
 namespace App\Middlewares;
 
+use App\Core\Events\RequestHandler;
 use App\Core\Http\Request;
 use App\Core\Http\Response;
 
@@ -57,7 +58,8 @@ final class LoggingMiddleware implements MiddlewareInterface
         $dur = microtime(true) - $start;
 
         logDebug(self::TAG . ':' . __LINE__ . '] [' . __FUNCTION__, sprintf(
-            "[%s] %s %s - %.2fms\n",
+            "[%s] [%s] %s %s - %.2fms\n",
+            $response->getHeader(RequestHandler::REQUEST_ID_HEADER) ?? '-',
             $request->getMethod(),
             $request->getPath(),
             $response->getStatus(),